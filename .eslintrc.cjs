@@ -9,6 +9,14 @@ module.exports = {
         "ecmaVersion": 13,
         "sourceType": "module"
     },
+    "overrides": [
+        {
+            "files": ["bench/**/*.js", "bin/**/*.js", "test/**/*.js"],
+            "env": {
+                "node": true
+            }
+        }
+    ],
     "rules": {
         "indent": [
             "error",
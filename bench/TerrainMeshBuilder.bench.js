@@ -0,0 +1,88 @@
+/*  *****************************************************************
+
+    TerrainMeshBuilder.bench.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+// Measures how long TerrainMeshBuilder.build() takes for maps of 
+// several widths, in both non-indexed and indexed modes.
+//
+// Usage:  npm run bench [-- width ...]
+
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+import { TerrainMeshBuilder } from "../scripts/TerrainMeshBuilder.js";
+
+const DEFAULT_WIDTHS = [64, 256, 512];
+const SEED = 48213;
+const RUNS = 5;
+
+const widths = process.argv.length > 2
+    ? process.argv.slice(2).map(Number)
+    : DEFAULT_WIDTHS;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+const time = (fn) => {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+};
+
+const results = [];
+for (const width of widths) {
+    const terrain = new TerrainGenerator(width, 15, undefined, { seed: SEED })
+        .generate();
+    const tmb = new TerrainMeshBuilder();
+    for (const indexed of [false, true]) {
+        // Warm up once, so that the timings reflect optimized code.
+        tmb.build(width, terrain, { indexed });
+        const times = [];
+        for (let run = 0; run < RUNS; run++) {
+            times.push(time(() => tmb.build(width, terrain, { indexed })));
+        }
+        results.push({
+            width: `${width} × ${width}`,
+            mode: indexed ? "indexed" : "non-indexed",
+            "median (ms)": median(times).toFixed(1),
+            "best (ms)": Math.min(...times).toFixed(1),
+        });
+    }
+}
+
+console.table(results);
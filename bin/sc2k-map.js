@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/*  *****************************************************************
+
+    sc2k-map.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+// Generates terrain without a browser, and writes it out as a saved
+// terrain, grayscale PNG maps and a mesh, for build pipelines.
+//
+// Usage:  sc2k-map generate [options]  (sc2k-map --help for the list)
+
+import { writeFileSync } from "node:fs";
+import { basename, extname } from "node:path";
+import { parseArgs } from "node:util";
+import { deflateSync } from "node:zlib";
+
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+import { TerrainMeshBuilder } from "../scripts/TerrainMeshBuilder.js";
+import { serializeTerrain, TerrainFormat } from "../scripts/TerrainFile.js";
+import { exportGLB, exportOBJ } from "../scripts/MeshExport.js";
+
+const USAGE = `Usage:  sc2k-map generate [options]
+
+Generates a terrain and writes the files requested.
+
+Generation:
+  --width <n>          cells in the x-direction (default 128)
+  --depth <n>          cells in the z-direction (default: the width)
+  --seed <n|text>      seed for the noise (default: random)
+  --amplitude <n>      levels from the lowest to the highest point
+  --resolution <n>     noise periods per cell
+  --profile <name>     noise profile, e.g. "mountains"
+  --mask <name>        falloff mask, e.g. "island" or "coast-north"
+  --sea-level <n>      elevation of the water's surface (give a negative
+                       one as --sea-level=-1.5)
+  --edge-mode <mode>   "clamp", "wrap" or "fixed"
+  --edge-height <n>    elevation around the map, for "fixed"
+  --erosion            weather the terrain
+  --droplets <n>       droplets of hydraulic erosion (default 20000);
+                       implies --erosion
+  --thermal-iterations <n>
+                       passes of thermal erosion (default 10); implies
+                       --erosion
+  --climate            derive moisture from wind and rain shadow
+  --hydrology          cut rivers where the most water flows
+
+Output:
+  --out <file>         the terrain:  .json, or binary for any other
+                       extension
+  --heightmap <file>   a grayscale PNG of the elevation
+  --moisture-map <file>
+                       a grayscale PNG of the moisture
+  --mesh <file>        the mesh:  .glb, or .obj (with a .mtl beside it)
+  --texture <uri>      the texture that the mesh's material refers to
+  --skirts             add walls down from the edges of the mesh
+  --verbose            show the timings of each step
+  --help               show this message
+`;
+
+const OPTIONS = Object.freeze({
+    "width": { type: "string" },
+    "depth": { type: "string" },
+    "seed": { type: "string" },
+    "amplitude": { type: "string" },
+    "resolution": { type: "string" },
+    "profile": { type: "string" },
+    "mask": { type: "string" },
+    "sea-level": { type: "string" },
+    "edge-mode": { type: "string" },
+    "edge-height": { type: "string" },
+    "erosion": { type: "boolean" },
+    "droplets": { type: "string" },
+    "thermal-iterations": { type: "string" },
+    "climate": { type: "boolean" },
+    "hydrology": { type: "boolean" },
+    "out": { type: "string" },
+    "heightmap": { type: "string" },
+    "moisture-map": { type: "string" },
+    "mesh": { type: "string" },
+    "texture": { type: "string" },
+    "skirts": { type: "boolean" },
+    "verbose": { type: "boolean" },
+    "help": { type: "boolean" },
+});
+
+const DEFAULT_WIDTH = 128;
+// The erosion that --erosion applies, unless the counts are given
+const DEFAULT_EROSION = Object.freeze({
+    droplets: 20000,
+    thermalIterations: 10
+});
+const MAX_MOISTURE = 5;
+const SKIRT_COLOR = 0x7a5a3c;
+const MESH_FORMATS = Object.freeze([".glb", ".obj"]);
+
+// The parts of a PNG:  its signature, and a header describing an 8-bit
+// grayscale image
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_BIT_DEPTH = 8;
+const PNG_GRAYSCALE = 0;
+
+// The table for the CRC-32 of each PNG chunk
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let c = 0xffffffff;
+    for (const b of bytes) {
+        c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+// Wraps data in a PNG chunk:  its length, type, data and CRC.
+const pngChunk = (type, data) => {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, "latin1");
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)),
+        8 + data.length);
+    return chunk;
+};
+
+/**
+ * Encodes an 8-bit grayscale PNG.
+ * @param {number} width The width of the image, in pixels
+ * @param {number} height The height of the image, in pixels
+ * @param {Uint8Array} pixels The gray level of each pixel, row by row
+ * @returns {Buffer} The contents of the PNG file
+ */
+const encodeGrayscalePNG = (width, height, pixels) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = PNG_BIT_DEPTH;
+    header[9] = PNG_GRAYSCALE;
+    // Each row starts with its filter type, 0 (none).
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * width, (y + 1) * width),
+            y * (width + 1) + 1);
+    }
+    return Buffer.concat([
+        Buffer.from(PNG_SIGNATURE),
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", deflateSync(raw)),
+        pngChunk("IEND", Buffer.alloc(0))
+    ]);
+};
+
+// Reads a numeric option, which may be omitted.
+const numberOption = (values, name) => {
+    if (values[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(values[name]);
+    if (isNaN(value)) {
+        throw new Error(`The option --${name} must be a number.`);
+    }
+    return value;
+};
+
+// Reads an option that counts something, which may be omitted.
+const countOption = (values, name, min = 1) => {
+    const value = numberOption(values, name);
+    if (value !== undefined && (!Number.isInteger(value) || value < min)) {
+        throw new Error(`The option --${name} must be a `
+            + `${min > 0 ? "positive" : "non-negative"} integer.`);
+    }
+    return value;
+};
+
+// Reads the erosion options:  null, unless one of them is given.
+const erosionOptions = (values) => {
+    const droplets = countOption(values, "droplets", 0);
+    const thermalIterations = countOption(values, "thermal-iterations", 0);
+    if (!values.erosion
+        && droplets === undefined
+        && thermalIterations === undefined) {
+        return null;
+    }
+    return {
+        droplets: droplets ?? DEFAULT_EROSION.droplets,
+        thermalIterations: thermalIterations
+            ?? DEFAULT_EROSION.thermalIterations
+    };
+};
+
+/**
+ * Generates a terrain and writes the files that the options ask for.
+ * @param {Object} values The parsed options
+ * @returns {String[]} The files written
+ */
+const generate = (values) => {
+    const width = countOption(values, "width") ?? DEFAULT_WIDTH;
+    // Check the mesh's format before anything is written.
+    const meshFormat = values.mesh
+        ? extname(values.mesh).toLowerCase()
+        : null;
+    if (meshFormat && !MESH_FORMATS.includes(meshFormat)) {
+        throw new Error("The option --mesh must name a .glb or .obj "
+            + "file.");
+    }
+    const generator = new TerrainGenerator(
+        width,
+        numberOption(values, "amplitude"),
+        numberOption(values, "resolution"),
+        {
+            seed: values.seed,
+            depth: countOption(values, "depth"),
+            seaLevel: numberOption(values, "sea-level"),
+            profile: values.profile,
+            mask: values.mask,
+            edgeMode: values["edge-mode"],
+            edgeHeight: numberOption(values, "edge-height"),
+            erosion: erosionOptions(values),
+            climate: values.climate || null,
+            hydrology: values.hydrology || null,
+            verbose: values.verbose
+        });
+    const terrain = generator.generate();
+    const { depth } = terrain;
+    const written = [];
+    const write = (file, contents) => {
+        writeFileSync(file, contents);
+        written.push(file);
+    };
+
+    if (values.out) {
+        const json = extname(values.out).toLowerCase() === ".json";
+        write(values.out, serializeTerrain(terrain, width,
+            json ? TerrainFormat.JSON : TerrainFormat.BINARY));
+    }
+    if (values.heightmap) {
+        // As in the app's previews, black is the lowest point, and
+        // white the highest.
+        const range = (terrain.maxElev - terrain.minElev) || 1;
+        write(values.heightmap, encodeGrayscalePNG(width, depth,
+            Uint8Array.from(terrain.cells, (cell) => Math.round(
+                255 * (cell.elevation - terrain.minElev) / range))));
+    }
+    if (values["moisture-map"]) {
+        write(values["moisture-map"], encodeGrayscalePNG(width, depth,
+            Uint8Array.from(terrain.cells, (cell) => Math.round(
+                255 * cell.moisture / MAX_MOISTURE))));
+    }
+    if (values.mesh) {
+        const geometry = new TerrainMeshBuilder().build(width, terrain, {
+            skirts: !!values.skirts,
+            verbose: values.verbose
+        });
+        const name = basename(values.mesh, extname(values.mesh));
+        const materials = [
+            { name: "terrain", texture: values.texture },
+            { name: "skirts", color: SKIRT_COLOR }
+        ];
+        if (meshFormat === ".glb") {
+            write(values.mesh, exportGLB(geometry, {
+                name: name,
+                materials: materials
+            }));
+        }
+        else {
+            const mtlFile = values.mesh.slice(0, -meshFormat.length) + ".mtl";
+            const { obj, mtl } = exportOBJ(geometry, {
+                name: name,
+                materials: materials,
+                mtlFile: basename(mtlFile)
+            });
+            write(values.mesh, obj);
+            write(mtlFile, mtl);
+        }
+    }
+    return written;
+};
+
+const COMMANDS = Object.freeze({
+    generate: generate,
+});
+
+const main = (args) => {
+    const { values, positionals } = parseArgs({
+        args: args,
+        options: OPTIONS,
+        allowPositionals: true
+    });
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const command = COMMANDS[positionals[0]];
+    if (!command || positionals.length > 1) {
+        throw new Error(`Unknown command '${positionals.join(" ")}'.`);
+    }
+
+    for (const file of command(values)) {
+        console.log(`Wrote ${file}`);
+    }
+};
+
+try {
+    main(process.argv.slice(2));
+} catch (e) {
+    console.error(`sc2k-map: ${e.message}`);
+    console.error("Run 'sc2k-map --help' for usage.");
+    process.exitCode = 1;
+}
@@ -0,0 +1,267 @@
+/*  *****************************************************************
+
+    CellShape.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { EdgeMode, neighborIndex, terrainEdges } from "./EdgeMode.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ */
+
+/**
+ * The shapes a cell can take.  The first four are the shapes pictured 
+ * in img/cell-shapes.png; the rest arise only in less regular terrain.
+ */
+export const CellShape = Object.freeze({
+    /** No raised corners */
+    FLAT: 0,
+    /** Two adjacent raised corners */
+    SLOPE: 1,
+    /** One raised corner */
+    CORNER_UP: 2,
+    /** Three raised corners */
+    CORNER_DOWN: 3,
+    /** Two diagonally opposite raised corners */
+    DIAGONAL: 4,
+    /** Four raised corners, between two opposite higher sides */
+    SADDLE: 5,
+    /** Four raised corners, enclosed by three higher sides */
+    VALLEY: 6,
+    /** Four raised corners, enclosed by four higher sides (or none) */
+    PIT: 7,
+    /** Four raised corners, lifted flat to meet its neighbors */
+    RAISED: 8,
+});
+
+/**
+ * The directions a cell can face.  North is the edge of the map at 
+ * z = 0, and west is the edge at x = 0 (as with MapEdge).
+ */
+export const CellFacing = Object.freeze({
+    /** The shape has no orientation (flat, pit or raised). */
+    NONE: -1,
+    NORTH: 0,
+    EAST: 1,
+    SOUTH: 2,
+    WEST: 3,
+});
+
+/**
+ * Describes the shape of a cell
+ * @typedef CellClassification
+ * @property {number} shape The shape of the cell (see CellShape)
+ * @property {number} facing The direction the cell faces (see 
+ * CellFacing).  For slopes and valleys, this is the downhill direction;
+ * for saddles, east if the higher sides are east and west, and south if
+ * they are north and south; for corner shapes, the side 45° clockwise
+ * of the downhill diagonal (e.g., south for a cell sloping down to the 
+ * southeast); and for diagonals, the facing of a corner up raised at 
+ * the northwest or northeast corner, that is, south or west.
+ * @property {number} turns The number of clockwise 90-degree turns, 
+ * from 0 to 3, needed to get the cell into the correct orientation, 
+ * relative to the texture
+ * @property {number[]} corners The heights of the corners of the cell,
+ * in elevation levels, clockwise from top left ('A'-'D')
+ * @property {number} center The height of the center of the cell ('E')
+ */
+
+// Turns for a shape that faces one side (a slope, valley or saddle), 
+// indexed by that side:  left, top, right, bottom.
+const SIDE_TURNS = [1, 0, 3, 2];
+
+const SHAPES_WITHOUT_FACING = [
+    CellShape.FLAT,
+    CellShape.PIT,
+    CellShape.RAISED
+];
+
+/**
+ * Determines the shape of a cell, its orientation, and the heights of 
+ * its corners and center.
+ *
+ * The cell's height is its lowest height; slopes are determined by the
+ * neighboring cells.
+ *
+ *     |   |___    In this example, the two cells on the left 
+ *     |  /|       both have height n, and the cell on the right
+ *     | / |       has height n+1.  The cell in the middle becomes
+ *  ___|/  |       a slope by being in between the n-height cell 
+ *   n   n  n+1    and the n+1-height cell.
+ *
+ * Each corner is shared by four cells, and it takes the height of the 
+ * highest of them, so that neighboring cells always meet without gaps.
+ * Under the one-level rule, every corner is therefore at n or n+1, and
+ * the pattern of raised corners, together with the higher sides, 
+ * determines the shape:
+ *
+ *   raised corners   higher sides        shape          center
+ *   none             -                   flat           n
+ *   one              -                   corner up      n
+ *   two, adjacent    -                   slope          n + 1/2
+ *   two, opposite    -                   diagonal       n + 1/2
+ *   three            -                   corner down    n + 1
+ *   four             two, opposite       saddle         n
+ *   four             three               valley         n
+ *   four             four, or none       pit            n
+ *   four             one, or adjacent    raised         n + 1
+ *
+ * If the cell is at the edge of the map, the missing neighbors follow 
+ * the edge mode:  by default, the current cell's height is extended 
+ * into the undefined area; a wrapped map reads them across the opposite
+ * edge; and a map with a fixed edge height puts them at that height.
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction (the 
+ * depth follows from the number of cells)
+ * @param {number} i The index of the cell
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode; 
+ * defaults to the terrain's
+ * @returns {CellClassification} The shape, facing, and corner and 
+ * center heights of the cell
+ */
+export const classifyCell = (
+    terrain,
+    width,
+    i,
+    edges = terrainEdges(terrain)) => {
+
+    const result = classifyCorners(terrain.cells, width, i, edges);
+    result.turns = ((result.turns % 4) + 4) % 4;
+    result.facing = SHAPES_WITHOUT_FACING.includes(result.shape)
+        ? CellFacing.NONE
+        : (6 - result.turns) % 4;
+    return result;
+};
+
+// Performs the classification described above.  Turns may be 
+// negative; classifyCell normalizes them.
+const classifyCorners = (cells, width, i, edges) => {
+    const depth = cells.length / width;
+    const x = i % width;
+    const z = Math.trunc(i / width);
+    const yE = cells[i].elevation;
+    const missing = edges.mode === EdgeMode.FIXED ? edges.height : yE;
+    const elevationAt = (dx, dz) => {
+        const j = neighborIndex(edges, width, depth, x + dx, z + dz);
+        return j >= 0 ? cells[j].elevation : missing;
+    };
+
+    const yLeft = elevationAt(-1, 0);
+    const yTop = elevationAt(0, -1);
+    const yRight = elevationAt(1, 0);
+    const yBot = elevationAt(0, 1);
+    const corners = [
+        Math.max(yE, yLeft, yTop, elevationAt(-1, -1)),
+        Math.max(yE, yTop, yRight, elevationAt(1, -1)),
+        Math.max(yE, yRight, yBot, elevationAt(1, 1)),
+        Math.max(yE, yBot, yLeft, elevationAt(-1, 1)),
+    ];
+
+    // Lower neighbors don't matter here, because they don't determine
+    // the shape of this cell.
+    const higherCorners = [0, 1, 2, 3].filter((c) => corners[c] > yE);
+    const higherSides = [yLeft, yTop, yRight, yBot]
+        .map((cur, curIx) => cur > yE ? curIx : undefined)
+        .filter((cur) => !isNaN(cur));
+    const high = Math.max(...corners);
+
+    switch (higherCorners.length) {
+        case 0:
+            return { shape: CellShape.FLAT, turns: 0, corners, center: yE };
+        case 1:
+            return {
+                shape: CellShape.CORNER_UP,
+                turns: -higherCorners[0],
+                corners,
+                center: yE
+            };
+        case 2: {
+            const [first, second] = higherCorners;
+            if (second - first == 2) {
+                return {
+                    shape: CellShape.DIAGONAL,
+                    turns: -first,
+                    corners,
+                    center: yE + 0.5
+                };
+            }
+            // The raised corners A and D are the left side, A and B the 
+            // top, and so on.
+            const side = (first == 0 && second == 3) ? 0 : second;
+            return {
+                shape: CellShape.SLOPE,
+                turns: SIDE_TURNS[side],
+                corners,
+                center: yE + 0.5
+            };
+        }
+        case 3: {
+            const low = [0, 1, 2, 3].find((c) => !higherCorners.includes(c));
+            return {
+                shape: CellShape.CORNER_DOWN,
+                turns: 2 - low,
+                corners,
+                center: high
+            };
+        }
+    }
+
+    // All four corners are raised; the higher sides decide whether the
+    // cell dips below them or is lifted to meet them.
+    if (higherSides.length == 3) {
+        const open = [0, 1, 2, 3].find((s) => !higherSides.includes(s));
+        return {
+            shape: CellShape.VALLEY,
+            turns: SIDE_TURNS[(open + 2) % 4],
+            corners,
+            center: yE
+        };
+    }
+    if (higherSides.length == 2
+        && higherSides[1] - higherSides[0] == 2) {
+        return {
+            shape: CellShape.SADDLE,
+            turns: SIDE_TURNS[higherSides[0]],
+            corners,
+            center: yE
+        };
+    }
+    if (higherSides.length == 4 || higherSides.length == 0) {
+        return { shape: CellShape.PIT, turns: 0, corners, center: yE };
+    }
+    return { shape: CellShape.RAISED, turns: 0, corners, center: high };
+};
@@ -0,0 +1,239 @@
+/*  *****************************************************************
+
+    Climate.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { MapEdge } from "./TerrainMask.js";
+import { hasWater } from "./Water.js";
+import { EdgeMode, neighborIndex, terrainEdges } from "./EdgeMode.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ */
+
+const MAX_MOISTURE = 5;
+const DEFAULT_WIND = MapEdge.WEST;
+// The fraction of its humidity that air drops on each cell of flat land
+const DEFAULT_RAINFALL = 0.02;
+// The additional fraction dropped for each level that the air is lifted
+const DEFAULT_LIFT = 0.15;
+// The distance, in cells, over which the sea's influence fades to 1/e
+const DEFAULT_WATER_REACH = 4;
+// The share of moisture that comes from nearness to the sea, when there 
+// is one; the rest comes from rainfall.
+const WATER_WEIGHT = 0.4;
+// On a wrapped map, the most times the air is carried around the map, 
+// and the change in humidity at which it is taken to have settled
+const MAX_WIND_LAPS = 100;
+const SETTLED_HUMIDITY = 1e-6;
+
+// The step the wind takes across the map, as [dx, dz], for each edge it 
+// blows from
+const WIND_STEPS = Object.freeze({
+    [MapEdge.NORTH]: [0, 1],
+    [MapEdge.EAST]: [-1, 0],
+    [MapEdge.SOUTH]: [0, -1],
+    [MapEdge.WEST]: [1, 0],
+});
+
+/**
+ * Options for applyClimate()
+ * @typedef ClimateOptions
+ * @property {String} [windDirection] The edge of the map from which the 
+ * prevailing wind blows (see MapEdge).  Defaults to "west".
+ * @property {number} [rainfall] The fraction of its humidity that the 
+ * air drops on each cell of flat land.  Defaults to 0.02.
+ * @property {number} [lift] The additional fraction that the air drops 
+ * for each level it climbs; air that descends drops none, leaving a 
+ * rain shadow.  Defaults to 0.15.
+ * @property {number} [waterReach] The distance, in cells, over which 
+ * the sea moistens the land.  Defaults to 4.
+ * @property {boolean} [verbose] Whether to log the time taken on the
+ * console
+ */
+
+const optionOr = (value, fallback) => {
+    return (value !== undefined && value !== null && !isNaN(value))
+        ? Number(value) : fallback;
+};
+
+// Computes each cell's distance (in steps to any of its eight 
+// neighbors) from the nearest cell under water.
+const distanceToWater = (terrain, width, depth, edges) => {
+    const cells = terrain.cells;
+    const distance = new Float64Array(cells.length).fill(Infinity);
+    const queue = new Int32Array(cells.length);
+    let head = 0;
+    let tail = 0;
+    cells.forEach((cell, i) => {
+        if (cell.elevation < terrain.seaLevel) {
+            distance[i] = 0;
+            queue[tail++] = i;
+        }
+    });
+    while (head < tail) {
+        const i = queue[head++];
+        const x = i % width;
+        const z = Math.trunc(i / width);
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const j = neighborIndex(edges, width, depth, x + dx, z + dz);
+                if (j >= 0 && distance[j] === Infinity) {
+                    distance[j] = distance[i] + 1;
+                    queue[tail++] = j;
+                }
+            }
+        }
+    }
+    return distance;
+};
+
+/**
+ * Derives the moisture of each cell from the lie of the land, replacing
+ * the generator's independent moisture noise.  Air enters the map from
+ * the windward edge fully humid, drops part of its humidity on each 
+ * cell it crosses—more where it is forced to climb, none where it 
+ * descends—and is recharged over the sea, so windward slopes are wet 
+ * and the land in the lee of high ground is dry.  Land near the sea is 
+ * moistened as well.  Moisture is stored on each cell in the range 0 to 
+ * 5 that getTerrainZone() expects; cells under water get the maximum.
+ * On a wrapped map, the air that leaves the leeward edge blows in again
+ * at the windward edge, and is carried around until its humidity 
+ * settles, so the map tiles; with no sea to recharge it, such a map 
+ * dries out.
+ * @param {Terrain} terrain The terrain, which is modified in place
+ * @param {number} width The number of cells in the x-direction
+ * @param {ClimateOptions} options Options for the climate
+ * @returns {Terrain} The same terrain
+ */
+export const applyClimate = (terrain, width, options = {}) => {
+    const timeStart = performance.now();
+    const cells = terrain.cells;
+    const area = cells.length;
+    const depth = area / width;
+    const wind = String(options.windDirection || DEFAULT_WIND).toLowerCase();
+    if (!WIND_STEPS[wind]) {
+        throw new Error("(applyClimate) The parameter options.windDirection " +
+            `must be one of ${Object.values(MapEdge).join(", ")}.`);
+    }
+    const rainfall = optionOr(options.rainfall, DEFAULT_RAINFALL);
+    const lift = optionOr(options.lift, DEFAULT_LIFT);
+    const waterReach = optionOr(options.waterReach, DEFAULT_WATER_REACH);
+    const water = hasWater(terrain);
+    const isWater = (i) => water && cells[i].elevation < terrain.seaLevel;
+    const edges = terrainEdges(terrain);
+    const wrap = edges.mode === EdgeMode.WRAP;
+
+    // Carry the air across the map, one line of cells at a time, each 
+    // cell taking the mean of the three cells upwind of it.
+    const [dx, dz] = WIND_STEPS[wind];
+    const steps = dx !== 0 ? width : depth;
+    const span = dx !== 0 ? depth : width;
+    const humidity = new Float64Array(area).fill(1);
+    const wet = new Float64Array(area);
+    for (let lap = 0; lap < (wrap ? MAX_WIND_LAPS : 1); lap++) {
+        let change = 0;
+        for (let s = 0; s < steps; s++) {
+            for (let t = 0; t < span; t++) {
+                const x = dx !== 0 ? (dx > 0 ? s : width - 1 - s) : t;
+                const z = dz !== 0 ? (dz > 0 ? s : depth - 1 - s) : t;
+                const i = z * width + x;
+                let incoming = 1;
+                let upwindElevation = cells[i].elevation;
+                if (s > 0 || wrap) {
+                    let count = 0;
+                    incoming = 0;
+                    upwindElevation = 0;
+                    for (let k = -1; k <= 1; k++) {
+                        const j = neighborIndex(edges, width, depth,
+                            x - dx + (dx === 0 ? k : 0),
+                            z - dz + (dz === 0 ? k : 0));
+                        if (j < 0) {
+                            continue;
+                        }
+                        incoming += humidity[j];
+                        upwindElevation += cells[j].elevation;
+                        count++;
+                    }
+                    incoming /= count;
+                    upwindElevation /= count;
+                }
+                if (isWater(i)) {
+                    humidity[i] = 1;
+                    continue;
+                }
+                // Slopes facing the wind catch the most rain, and those
+                // facing away the least.
+                const rise = cells[i].elevation - upwindElevation;
+                const rate = Math.max(0,
+                    Math.min(1, rainfall + lift * rise));
+                const next = incoming * (1 - rate);
+                change = Math.max(change, Math.abs(next - humidity[i]));
+                humidity[i] = next;
+                wet[i] = incoming
+                    * Math.max(0, Math.min(1, (1 + rise) / 1.5));
+            }
+        }
+        if (change < SETTLED_HUMIDITY) {
+            break;
+        }
+    }
+
+    const distance = water
+        ? distanceToWater(terrain, width, depth, edges)
+        : null;
+    const waterWeight = water ? WATER_WEIGHT : 0;
+    cells.forEach((cell, i) => {
+        if (isWater(i)) {
+            cell.moisture = MAX_MOISTURE;
+            return;
+        }
+        const near = distance ? Math.exp(-distance[i] / waterReach) : 0;
+        const wetness = (1 - waterWeight) * wet[i] + waterWeight * near;
+        cell.moisture = Math.min(MAX_MOISTURE,
+            Math.trunc((MAX_MOISTURE + 1) * wetness));
+    });
+
+    if (options.verbose) {
+        console.log(
+            "(applyClimate) executed in " +
+            `${performance.now() - timeStart} ms.`
+        );
+    }
+
+    return terrain;
+};
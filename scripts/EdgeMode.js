@@ -0,0 +1,121 @@
+/*  *****************************************************************
+
+    EdgeMode.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ */
+
+/**
+ * How the cells at the edges of a map treat the neighbors they lack.  
+ * The generator, the slope solver and the mesh builder share the mode,
+ * which a terrain records as its 'edgeMode' (and 'edgeHeight').
+ */
+export const EdgeMode = Object.freeze({
+    /** Missing neighbors take the elevation of the edge cell itself. */
+    CLAMP: "clamp",
+    /**
+     * The map tiles seamlessly:  the neighbors of an edge cell are read
+     * across the opposite edge, as on the surface of a torus.
+     */
+    WRAP: "wrap",
+    /**
+     * Missing neighbors are at a fixed height, so the map meets a level
+     * plain (or sea) all around.
+     */
+    FIXED: "fixed",
+});
+
+/**
+ * The edge mode in effect, with its height
+ * @typedef EdgeInfo
+ * @property {String} mode The edge mode (see EdgeMode)
+ * @property {number} height For EdgeMode.FIXED, the elevation of the 
+ * missing neighbors
+ */
+
+/**
+ * Resolves an edge mode and height, as given in options.
+ * @param {String} mode The edge mode (see EdgeMode); defaults to 
+ * "clamp"
+ * @param {number} height For "fixed", the elevation of the missing 
+ * neighbors; defaults to 0
+ * @returns {EdgeInfo} The edge mode and height
+ */
+export const resolveEdges = (mode = undefined, height = undefined) => {
+    const resolved = mode
+        ? String(mode).trim().toLowerCase()
+        : EdgeMode.CLAMP;
+    if (!Object.values(EdgeMode).includes(resolved)) {
+        throw new Error("(resolveEdges) The parameter 'mode' must be one "
+            + `of ${Object.values(EdgeMode).join(", ")}.`);
+    }
+    return {
+        mode: resolved,
+        height: (height !== undefined && height !== null && !isNaN(height))
+            ? Math.round(height) : 0
+    };
+};
+
+/**
+ * Returns the edge mode that a terrain records.
+ * @param {Terrain} terrain The terrain
+ * @returns {EdgeInfo} The edge mode and height
+ */
+export const terrainEdges = (terrain) => {
+    return resolveEdges(terrain.edgeMode, terrain.edgeHeight);
+};
+
+/**
+ * Finds the index of the cell at a position, which may be off the map.
+ * @param {EdgeInfo} edges The edge mode
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {number} x The x-index of the position
+ * @param {number} z The z-index of the position
+ * @returns {number} The index of the cell, wrapping around the map in 
+ * EdgeMode.WRAP, or -1 if the position is off the map
+ */
+export const neighborIndex = (edges, width, depth, x, z) => {
+    if (edges.mode === EdgeMode.WRAP) {
+        x = ((x % width) + width) % width;
+        z = ((z % depth) + depth) % depth;
+    }
+    return (x >= 0 && x < width && z >= 0 && z < depth)
+        ? z * width + x : -1;
+};
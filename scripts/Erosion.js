@@ -0,0 +1,325 @@
+/*  *****************************************************************
+
+    Erosion.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { createRandom } from "./SeededRandom.js";
+import { EdgeMode, neighborIndex } from "./EdgeMode.js";
+
+// Erosion simulations that run on a float heightfield (in elevation 
+// levels), before it is quantised into whole levels.  Both are 
+// deterministic:  thermal erosion uses no randomness, and hydraulic 
+// erosion draws its droplets from a seeded generator.  On a wrapped 
+// map, material and droplets cross the edges, so the map still tiles;
+// otherwise, the edges stop them.
+
+const DEFAULT_TALUS = 1;
+const DEFAULT_THERMAL_STRENGTH = 0.5;
+const DEFAULT_HYDRAULIC_STRENGTH = 1;
+
+// Parameters of the droplets in hydraulic erosion
+const DROPLET_INERTIA = 0.05;
+const DROPLET_CAPACITY_FACTOR = 4;
+const DROPLET_MIN_CAPACITY = 0.01;
+const DROPLET_ERODE_SPEED = 0.3;
+const DROPLET_DEPOSIT_SPEED = 0.3;
+const DROPLET_EVAPORATE_SPEED = 0.01;
+const DROPLET_GRAVITY = 4;
+const DROPLET_LIFETIME = 30;
+
+const CLAMPED_EDGES = Object.freeze({ mode: EdgeMode.CLAMP, height: 0 });
+
+// Offsets of the eight neighbors of a cell, as [dx, dz, distance]
+const NEIGHBORS = [
+    [-1, -1, Math.SQRT2], [0, -1, 1], [1, -1, Math.SQRT2],
+    [-1, 0, 1], [1, 0, 1],
+    [-1, 1, Math.SQRT2], [0, 1, 1], [1, 1, Math.SQRT2],
+];
+
+/**
+ * Options for erosion
+ * @typedef ErosionOptions
+ * @property {number} [thermalIterations] The number of passes of 
+ * thermal erosion.  Defaults to 0 (none).
+ * @property {number} [talus] The steepest slope, in levels per cell, 
+ * that thermal erosion leaves standing.  Defaults to 1.
+ * @property {number} [thermalStrength] The fraction of the excess 
+ * material moved downhill in each pass, from 0 to 1.  Defaults to 0.5.
+ * @property {number} [droplets] The number of droplets simulated by 
+ * hydraulic erosion.  Defaults to 0 (none).
+ * @property {number} [hydraulicStrength] A factor applied to the rates
+ * at which droplets erode and deposit material.  Defaults to 1.
+ * @property {boolean} [verbose] Whether to log the time taken on the
+ * console
+ */
+
+const optionOr = (value, fallback) => {
+    return (value !== undefined && value !== null && !isNaN(value))
+        ? Number(value) : fallback;
+};
+
+/**
+ * Applies thermal (talus) erosion:  wherever a slope is steeper than 
+ * the talus, material slides from the higher cell to its lower 
+ * neighbors.  Every cell moves material based on the heights at the 
+ * start of the pass, so the result does not depend on scan order.
+ * @param {Float64Array|number[]} heights The heightfield, which is 
+ * modified in place
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {ErosionOptions} options Options for the erosion
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode; 
+ * defaults to "clamp"
+ */
+export const applyThermalErosion = (
+    heights,
+    width,
+    depth,
+    options = {},
+    edges = CLAMPED_EDGES) => {
+
+    const iterations = optionOr(options.thermalIterations, 0);
+    const talus = optionOr(options.talus, DEFAULT_TALUS);
+    const strength = Math.max(0, Math.min(1,
+        optionOr(options.thermalStrength, DEFAULT_THERMAL_STRENGTH)));
+    const delta = new Float64Array(heights.length);
+    const excess = new Float64Array(NEIGHBORS.length);
+    const targets = new Int32Array(NEIGHBORS.length);
+
+    for (let pass = 0; pass < iterations; pass++) {
+        delta.fill(0);
+        for (let z = 0; z < depth; z++) {
+            for (let x = 0; x < width; x++) {
+                const i = z * width + x;
+                let total = 0;
+                let most = 0;
+                NEIGHBORS.forEach(([dx, dz, distance], n) => {
+                    excess[n] = 0;
+                    targets[n] = neighborIndex(
+                        edges, width, depth, x + dx, z + dz);
+                    if (targets[n] < 0) {
+                        return;
+                    }
+                    const drop = heights[i] - heights[targets[n]];
+                    if (drop > talus * distance) {
+                        excess[n] = drop - talus * distance;
+                        total += excess[n];
+                        most = Math.max(most, excess[n]);
+                    }
+                });
+                if (total <= 0) {
+                    continue;
+                }
+                // Moving half the largest excess would level the 
+                // steepest pair; share that among the lower neighbors.
+                const moved = strength * most / 2;
+                delta[i] -= moved;
+                for (let n = 0; n < NEIGHBORS.length; n++) {
+                    if (excess[n] > 0) {
+                        delta[targets[n]] += moved * excess[n] / total;
+                    }
+                }
+            }
+        }
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] += delta[i];
+        }
+    }
+};
+
+/**
+ * Applies particle-based hydraulic erosion:  droplets fall at random 
+ * points, run downhill picking up sediment while they speed up, and 
+ * drop it as they slow down or evaporate, carving gullies and filling
+ * hollows.
+ * @param {Float64Array|number[]} heights The heightfield, which is 
+ * modified in place
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {ErosionOptions} options Options for the erosion
+ * @param {number|string} seed The seed for the droplets' positions
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode; 
+ * defaults to "clamp"
+ */
+export const applyHydraulicErosion = (
+    heights,
+    width,
+    depth,
+    options = {},
+    seed = 0,
+    edges = CLAMPED_EDGES) => {
+
+    const droplets = optionOr(options.droplets, 0);
+    const strength = Math.max(0,
+        optionOr(options.hydraulicStrength, DEFAULT_HYDRAULIC_STRENGTH));
+    const erodeSpeed = Math.min(1, DROPLET_ERODE_SPEED * strength);
+    const depositSpeed = Math.min(1, DROPLET_DEPOSIT_SPEED * strength);
+    const random = createRandom(seed);
+    // A droplet lives between the centers of four cells.  On a wrapped 
+    // map, the last cell's neighbor is the first, so the droplets roam 
+    // the whole map, and wrap around it.
+    const wrap = edges.mode === EdgeMode.WRAP;
+    const spanX = wrap ? width : width - 1;
+    const spanZ = wrap ? depth : depth - 1;
+    const corners = new Int32Array(4);
+
+    // Finds the four cells around a point, returning its offsets from 
+    // the first.
+    const around = (px, pz) => {
+        const cx = Math.floor(px);
+        const cz = Math.floor(pz);
+        corners[0] = neighborIndex(edges, width, depth, cx, cz);
+        corners[1] = neighborIndex(edges, width, depth, cx + 1, cz);
+        corners[2] = neighborIndex(edges, width, depth, cx, cz + 1);
+        corners[3] = neighborIndex(edges, width, depth, cx + 1, cz + 1);
+        return [px - cx, pz - cz];
+    };
+
+    // Bilinear height and gradient at a point between four cells
+    const sample = (px, pz) => {
+        const [u, v] = around(px, pz);
+        const h00 = heights[corners[0]];
+        const h10 = heights[corners[1]];
+        const h01 = heights[corners[2]];
+        const h11 = heights[corners[3]];
+        return {
+            height: h00 * (1 - u) * (1 - v) + h10 * u * (1 - v)
+                + h01 * (1 - u) * v + h11 * u * v,
+            gx: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+            gz: (h01 - h00) * (1 - u) + (h11 - h10) * u
+        };
+    };
+
+    // Adds an amount to the four cells around a point, weighted by 
+    // their nearness to it.
+    const spread = (px, pz, amount) => {
+        const [u, v] = around(px, pz);
+        heights[corners[0]] += amount * (1 - u) * (1 - v);
+        heights[corners[1]] += amount * u * (1 - v);
+        heights[corners[2]] += amount * (1 - u) * v;
+        heights[corners[3]] += amount * u * v;
+    };
+
+    for (let d = 0; d < droplets; d++) {
+        let px = random() * spanX;
+        let pz = random() * spanZ;
+        let dirX = 0;
+        let dirZ = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+
+        for (let life = 0; life < DROPLET_LIFETIME; life++) {
+            const here = sample(px, pz);
+            dirX = dirX * DROPLET_INERTIA - here.gx * (1 - DROPLET_INERTIA);
+            dirZ = dirZ * DROPLET_INERTIA - here.gz * (1 - DROPLET_INERTIA);
+            const length = Math.hypot(dirX, dirZ);
+            if (length === 0) {
+                break;
+            }
+            dirX /= length;
+            dirZ /= length;
+            const oldX = px;
+            const oldZ = pz;
+            px += dirX;
+            pz += dirZ;
+            if (wrap) {
+                px = (px + width) % width;
+                pz = (pz + depth) % depth;
+            }
+            else if (px < 0 || px >= spanX || pz < 0 || pz >= spanZ) {
+                break;
+            }
+
+            const deltaHeight = sample(px, pz).height - here.height;
+            const capacity = Math.max(
+                -deltaHeight * speed * water * DROPLET_CAPACITY_FACTOR,
+                DROPLET_MIN_CAPACITY);
+            if (sediment > capacity || deltaHeight > 0) {
+                // Going uphill, fill the hollow behind; otherwise drop 
+                // part of what the droplet can no longer carry.
+                const deposit = deltaHeight > 0
+                    ? Math.min(deltaHeight, sediment)
+                    : (sediment - capacity) * depositSpeed;
+                sediment -= deposit;
+                spread(oldX, oldZ, deposit);
+            }
+            else {
+                const erode = Math.min(
+                    (capacity - sediment) * erodeSpeed,
+                    -deltaHeight);
+                sediment += erode;
+                spread(oldX, oldZ, -erode);
+            }
+
+            speed = Math.sqrt(
+                Math.max(0, speed * speed - deltaHeight * DROPLET_GRAVITY));
+            water *= 1 - DROPLET_EVAPORATE_SPEED;
+        }
+    }
+};
+
+/**
+ * Applies hydraulic and then thermal erosion to a heightfield, as the 
+ * options call for.
+ * @param {Float64Array|number[]} heights The heightfield, which is 
+ * modified in place
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {ErosionOptions} options Options for the erosion
+ * @param {number|string} seed The seed for hydraulic erosion
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode; 
+ * defaults to "clamp"
+ */
+export const erodeHeightfield = (
+    heights,
+    width,
+    depth,
+    options = {},
+    seed = 0,
+    edges = CLAMPED_EDGES) => {
+
+    const timeStart = performance.now();
+    applyHydraulicErosion(heights, width, depth, options, seed, edges);
+    applyThermalErosion(heights, width, depth, options, edges);
+    if (options.verbose) {
+        console.log(
+            "(erodeHeightfield) executed in " +
+            `${performance.now() - timeStart} ms.`
+        );
+    }
+};
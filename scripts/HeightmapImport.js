@@ -0,0 +1,223 @@
+/*  *****************************************************************
+
+    HeightmapImport.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { CellFacing, CellShape } from "./CellShape.js";
+import { resolveEdges } from "./EdgeMode.js";
+import { constrainTerrain } from "./SlopeSolver.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ */
+
+const MAX_GRAY = 255;
+const MAX_MOISTURE = 5;
+const DEFAULT_MIN_ELEV = 0;
+const DEFAULT_MAX_ELEV = 15;
+const DEFAULT_MOISTURE = 2;
+// The weights of red, green and blue in a pixel's brightness (Rec. 601)
+const LUMA = [0.299, 0.587, 0.114];
+
+/**
+ * Pixels in RGBA order, four bytes to a pixel, row by row:  an
+ * ImageData, a canvas (whose pixels are read), or any object of the
+ * same shape, such as a PNG decoded in Node
+ * @typedef {ImageData|HTMLCanvasElement|OffscreenCanvas|{width: number,
+ * height: number, data: ArrayLike<number>}} ImageSource
+ */
+
+/**
+ * Options for importHeightmap()
+ * @typedef HeightmapOptions
+ * @property {ImageSource} [moisture] A grayscale image of the moisture,
+ * black being driest, white wettest.  If omitted, every cell gets the
+ * 'moistureLevel'.
+ * @property {number} [moistureLevel] The moisture (0-5) of every cell,
+ * when there is no moisture image.  Defaults to 2.
+ * @property {number} [width] The number of cells in the x-direction;
+ * defaults to the width of the elevation image
+ * @property {number} [depth] The number of cells in the z-direction;
+ * defaults to the number that keeps the image's proportions
+ * @property {number} [minElev] The elevation of black.  Defaults to 0.
+ * @property {number} [maxElev] The elevation of white.  Defaults to 15.
+ * @property {number} [seaLevel] The elevation of the surface of the
+ * water; if omitted, the terrain has no water
+ * @property {String} [edgeMode] The terrain's edge mode (see EdgeMode)
+ * @property {number} [edgeHeight] For the "fixed" edge mode, the
+ * elevation around the map
+ * @property {boolean} [verbose] Whether to log the time taken on the
+ * console
+ */
+
+// Reads the pixels of an image source.
+const readPixels = (image, name) => {
+    if (image && typeof image.getContext === "function") {
+        return image.getContext("2d")
+            .getImageData(0, 0, image.width, image.height);
+    }
+    if (!image
+        || !Number.isInteger(image.width) || image.width <= 0
+        || !Number.isInteger(image.height) || image.height <= 0
+        || !image.data
+        || image.data.length < image.width * image.height * 4) {
+        throw new Error(`(importHeightmap) The parameter '${name}' must be `
+            + "a canvas, or an image with a positive 'width' and "
+            + "'height' and four bytes of RGBA 'data' for each pixel.");
+    }
+    return image;
+};
+
+/**
+ * Samples the brightness of an image at cell centers, resampling it
+ * bilinearly to the size of the map.
+ * @param {ImageSource} image The image
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @returns {Float64Array} The brightness of each cell, from 0 to 1
+ */
+const sampleGray = (image, width, depth) => {
+    const { data } = image;
+    const gray = (px, py) => {
+        const k = (py * image.width + px) * 4;
+        return (LUMA[0] * data[k] + LUMA[1] * data[k + 1]
+            + LUMA[2] * data[k + 2]) / MAX_GRAY;
+    };
+    // The position of a cell's center in the image, kept within the
+    // centers of the image's edge pixels
+    const project = (v, cells, pixels) => Math.max(0, Math.min(pixels - 1,
+        (v + 0.5) * pixels / cells - 0.5));
+
+    const result = new Float64Array(width * depth);
+    for (let z = 0; z < depth; z++) {
+        const py = project(z, depth, image.height);
+        const y0 = Math.floor(py);
+        const y1 = Math.min(image.height - 1, y0 + 1);
+        const fy = py - y0;
+        for (let x = 0; x < width; x++) {
+            const px = project(x, width, image.width);
+            const x0 = Math.floor(px);
+            const x1 = Math.min(image.width - 1, x0 + 1);
+            const fx = px - x0;
+            const top = gray(x0, y0) * (1 - fx) + gray(x1, y0) * fx;
+            const bottom = gray(x0, y1) * (1 - fx) + gray(x1, y1) * fx;
+            result[z * width + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+    return result;
+};
+
+/**
+ * Builds a terrain from a grayscale heightmap, and, optionally, a
+ * moisture map, such as those that App.generateMapPreviews() draws:
+ * black is the lowest elevation (or the driest), white the highest (or
+ * the wettest).  The images are resampled to the size of the map and
+ * quantised into elevation levels and moisture levels 0-5.  As an
+ * image may rise more steeply than the slope rule allows, the terrain
+ * is then run through constrainTerrain(), so it is ready to build.
+ * @param {ImageSource} elevation The heightmap
+ * @param {HeightmapOptions} options Options for the terrain
+ * @returns {Terrain} The terrain
+ */
+export const importHeightmap = (elevation, options = {}) => {
+    const timeStart = performance.now();
+    const elevationImage = readPixels(elevation, "elevation");
+    const moistureImage = options.moisture
+        ? readPixels(options.moisture, "options.moisture")
+        : null;
+
+    const optionOr = (name, fallback) => (options[name] !== undefined
+        && options[name] !== null
+        && !isNaN(options[name]))
+        ? Number(options[name])
+        : fallback;
+    const width = Math.round(optionOr("width", elevationImage.width));
+    const depth = Math.round(optionOr("depth", Math.max(1, Math.round(
+        width * elevationImage.height / elevationImage.width))));
+    if (width < 1 || depth < 1) {
+        throw new Error("(importHeightmap) The options 'width' and 'depth'"
+            + " must be at least 1.");
+    }
+    const minElev = Math.round(optionOr("minElev", DEFAULT_MIN_ELEV));
+    const maxElev = Math.round(optionOr("maxElev", DEFAULT_MAX_ELEV));
+    if (maxElev < minElev) {
+        throw new Error("(importHeightmap) The option 'maxElev' must not "
+            + "be less than 'minElev'.");
+    }
+    const moistureLevel = Math.max(0, Math.min(MAX_MOISTURE, Math.trunc(
+        optionOr("moistureLevel", DEFAULT_MOISTURE))));
+    const edges = resolveEdges(options.edgeMode, options.edgeHeight);
+
+    const heights = sampleGray(elevationImage, width, depth);
+    const wetness = moistureImage
+        ? sampleGray(moistureImage, width, depth)
+        : null;
+    const cells = Array(width * depth);
+    for (let i = 0; i < cells.length; i++) {
+        cells[i] = {
+            "elevation": minElev
+                + Math.round(heights[i] * (maxElev - minElev)),
+            "moisture": wetness
+                ? Math.round(wetness[i] * MAX_MOISTURE)
+                : moistureLevel,
+            "xIndex": i % width,
+            "zIndex": Math.trunc(i / width),
+            "shape": CellShape.FLAT,
+            "facing": CellFacing.NONE
+        };
+    }
+    const result = {
+        cells: cells,
+        minElev: minElev,
+        maxElev: maxElev,
+        width: width,
+        depth: depth,
+        seaLevel: optionOr("seaLevel", undefined),
+        edgeMode: edges.mode,
+        edgeHeight: edges.height
+    };
+    constrainTerrain(result, width);
+
+    if (options.verbose) {
+        console.log(
+            "(importHeightmap) executed in " +
+            `${performance.now() - timeStart} ms.`
+        );
+    }
+
+    return result;
+};
@@ -0,0 +1,375 @@
+/*  *****************************************************************
+
+    Hydrology.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { EdgeMode, neighborIndex, terrainEdges } from "./EdgeMode.js";
+import { hasWater } from "./Water.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ */
+
+/**
+ * The directions in which water can leave a cell:  toward one of its 
+ * eight neighbors, or nowhere, for cells that drain off the map or into
+ * the sea.  North is the edge of the map at z = 0.
+ */
+export const FlowDirection = Object.freeze({
+    NONE: -1,
+    NORTH: 0,
+    NORTHEAST: 1,
+    EAST: 2,
+    SOUTHEAST: 3,
+    SOUTH: 4,
+    SOUTHWEST: 5,
+    WEST: 6,
+    NORTHWEST: 7,
+});
+
+// Offsets of the neighbors, as [dx, dz], indexed by FlowDirection
+const FLOW_OFFSETS = [
+    [0, -1], [1, -1], [1, 0], [1, 1],
+    [0, 1], [-1, 1], [-1, 0], [-1, -1],
+];
+
+/**
+ * Options for applyHydrology()
+ * @typedef HydrologyOptions
+ * @property {number} [riverThreshold] The flow accumulation (the number
+ * of cells draining through a cell, including itself) at which a cell 
+ * becomes a river.  Defaults to 1% of the cells of the map, but no 
+ * fewer than 16.
+ * @property {number} [carveDepth] The number of levels by which rivers
+ * are cut into the land.  Defaults to 1; 0 marks rivers without 
+ * carving them.
+ * @property {boolean} [verbose] Whether to log the time taken on the
+ * console
+ */
+
+/**
+ * Describes the drainage of a terrain
+ * @typedef Drainage
+ * @property {Int8Array} directions The flow direction of each cell (see
+ * FlowDirection)
+ * @property {Uint32Array} accumulation The number of cells draining 
+ * through each cell, including itself
+ * @property {Int32Array} order The indices of the cells, ordered so that
+ * every cell comes after the cell it drains into
+ */
+
+// A binary min-heap of cell indices, ordered by a priority and then by 
+// insertion, so that cells of equal height are taken first-in, first-
+// out.  That order carries flow across flats and out of pits.
+class CellQueue {
+
+    constructor(capacity) {
+        this.cells = new Int32Array(capacity);
+        this.priorities = new Float64Array(capacity);
+        this.sequence = new Float64Array(capacity);
+        this.size = 0;
+        this.count = 0;
+    }
+
+    less(a, b) {
+        return this.priorities[a] < this.priorities[b]
+            || (this.priorities[a] === this.priorities[b]
+                && this.sequence[a] < this.sequence[b]);
+    }
+
+    swap(a, b) {
+        for (const array of [this.cells, this.priorities, this.sequence]) {
+            const t = array[a];
+            array[a] = array[b];
+            array[b] = t;
+        }
+    }
+
+    push(cell, priority) {
+        let k = this.size++;
+        this.cells[k] = cell;
+        this.priorities[k] = priority;
+        this.sequence[k] = this.count++;
+        while (k > 0) {
+            const parent = (k - 1) >> 1;
+            if (!this.less(k, parent)) {
+                break;
+            }
+            this.swap(k, parent);
+            k = parent;
+        }
+    }
+
+    pop() {
+        const result = [this.cells[0], this.priorities[0]];
+        this.size--;
+        if (this.size > 0) {
+            this.swap(0, this.size);
+            let k = 0;
+            for (;;) {
+                const left = 2 * k + 1;
+                const right = left + 1;
+                let least = k;
+                if (left < this.size && this.less(left, least)) {
+                    least = left;
+                }
+                if (right < this.size && this.less(right, least)) {
+                    least = right;
+                }
+                if (least === k) {
+                    break;
+                }
+                this.swap(k, least);
+                k = least;
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Computes the direction in which water flows out of each cell, and how
+ * many cells drain through each.  Water leaves the map at its edges and
+ * at cells under the sea.  Depressions and flats are handled by 
+ * flooding inward from those outlets in order of height (the "priority 
+ * flood" method), so every cell drains somewhere.  A wrapped map has no
+ * edges, so its water flows across them, and it drains into the sea, 
+ * or, failing that, into its lowest cell.
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @returns {Drainage} The drainage of the terrain
+ */
+export const computeDrainage = (terrain, width) => {
+    const cells = terrain.cells;
+    const area = cells.length;
+    const depth = area / width;
+    const directions = new Int8Array(area).fill(FlowDirection.NONE);
+    const accumulation = new Uint32Array(area);
+    const order = new Int32Array(area);
+    const visited = new Uint8Array(area);
+    const queue = new CellQueue(area);
+    const water = hasWater(terrain);
+    const edges = terrainEdges(terrain);
+    const wrap = edges.mode === EdgeMode.WRAP;
+
+    let lowest = 0;
+    for (let i = 0; i < area; i++) {
+        const x = i % width;
+        const z = Math.trunc(i / width);
+        const edge = !wrap
+            && (x == 0 || z == 0 || x == width - 1 || z == depth - 1);
+        if (edge || (water && cells[i].elevation < terrain.seaLevel)) {
+            visited[i] = 1;
+            queue.push(i, cells[i].elevation);
+        }
+        lowest = cells[i].elevation < cells[lowest].elevation ? i : lowest;
+    }
+    if (queue.size === 0 && area > 0) {
+        visited[lowest] = 1;
+        queue.push(lowest, cells[lowest].elevation);
+    }
+
+    // Each cell taken from the queue becomes the outlet of its unvisited
+    // neighbors, which are then filled (if need be) to its height.
+    let taken = 0;
+    while (queue.size > 0) {
+        const [i, level] = queue.pop();
+        order[taken++] = i;
+        const x = i % width;
+        const z = Math.trunc(i / width);
+        for (let d = 0; d < 8; d++) {
+            const j = neighborIndex(edges, width, depth,
+                x + FLOW_OFFSETS[d][0], z + FLOW_OFFSETS[d][1]);
+            if (j < 0 || visited[j]) {
+                continue;
+            }
+            visited[j] = 1;
+            // The neighbor drains in the opposite direction.
+            directions[j] = (d + 4) % 8;
+            queue.push(j, Math.max(level, cells[j].elevation));
+        }
+    }
+
+    // Every cell comes after its outlet, so accumulate in reverse.
+    for (let k = area - 1; k >= 0; k--) {
+        const i = order[k];
+        accumulation[i] += 1;
+        if (directions[i] !== FlowDirection.NONE) {
+            accumulation[downstream(edges, width, depth, i, directions[i])]
+                += accumulation[i];
+        }
+    }
+
+    return { directions, accumulation, order };
+};
+
+// The index of the cell into which a cell drains
+const downstream = (edges, width, depth, i, direction) => {
+    const [dx, dz] = FLOW_OFFSETS[direction];
+    return neighborIndex(edges, width, depth,
+        i % width + dx, Math.trunc(i / width) + dz);
+};
+
+// Lowers cells as little as possible so that none is more than one 
+// level above any neighbor, without raising any cell.  Two raster scans
+// suffice, because the bound spreads at one level per step in every 
+// direction; on a wrapped map, it also spreads across the edges, so the
+// scans are repeated until nothing changes.  With a fixed edge height,
+// the neighbors beyond the edges are at that height.
+const settleBanks = (elevations, width, depth, edges) => {
+    const fixed = edges.mode === EdgeMode.FIXED;
+    let changed = false;
+    const scan = (zStart, zEnd, step, neighbors) => {
+        for (let z = zStart; z !== zEnd; z += step) {
+            for (let x = step > 0 ? 0 : width - 1;
+                x >= 0 && x < width;
+                x += step) {
+                const i = z * width + x;
+                for (const [dx, dz] of neighbors) {
+                    const j = neighborIndex(edges, width, depth,
+                        x + dx, z + dz);
+                    if (j < 0 && !fixed) {
+                        continue;
+                    }
+                    const bound = (j < 0 ? edges.height : elevations[j]) + 1;
+                    if (elevations[i] > bound) {
+                        elevations[i] = bound;
+                        changed = true;
+                    }
+                }
+            }
+        }
+    };
+    do {
+        changed = false;
+        scan(0, depth, 1, [[-1, 0], [-1, -1], [0, -1], [1, -1]]);
+        scan(depth - 1, -1, -1, [[1, 0], [1, 1], [0, 1], [-1, 1]]);
+    } while (changed && edges.mode === EdgeMode.WRAP);
+};
+
+// With a fixed edge height, raises cells that carving took so deep 
+// that the slope down from the edges could not reach them:  a cell d 
+// cells in from the edge may lie no lower than d + 1 levels below the 
+// edge height.  Settling the banks afterward keeps to that floor.
+const floorAtEdges = (elevations, width, depth, edges) => {
+    if (edges.mode !== EdgeMode.FIXED) {
+        return;
+    }
+    for (let i = 0; i < elevations.length; i++) {
+        const x = i % width;
+        const z = Math.trunc(i / width);
+        const inset = Math.min(x, z, width - 1 - x, depth - 1 - z);
+        elevations[i] = Math.max(elevations[i], edges.height - 1 - inset);
+    }
+};
+
+/**
+ * Runs the hydrology pass on a terrain:  computes its drainage, marks 
+ * the cells through which enough water flows as rivers, and cuts the 
+ * rivers into the land, lowering their banks only as far as the 
+ * one-level rule requires.  The terrain's edge mode applies.  Each cell
+ * receives 'flowDirection', 'flowAccumulation' and 'river' properties, 
+ * and the terrain's 'minElev' and 'maxElev' are updated.
+ * @param {Terrain} terrain The terrain, which is modified in place
+ * @param {number} width The number of cells in the x-direction
+ * @param {HydrologyOptions} options Options for the pass
+ * @returns {Terrain} The same terrain
+ */
+export const applyHydrology = (terrain, width, options = {}) => {
+    const timeStart = performance.now();
+    const cells = terrain.cells;
+    const area = cells.length;
+    const depth = area / width;
+    const threshold = (options.riverThreshold
+        && !isNaN(options.riverThreshold))
+        ? options.riverThreshold
+        : Math.max(16, Math.round(area / 100));
+    const carveDepth = (options.carveDepth !== undefined
+        && !isNaN(options.carveDepth))
+        ? options.carveDepth : 1;
+
+    const edges = terrainEdges(terrain);
+    const drainage = computeDrainage(terrain, width);
+    const river = new Uint8Array(area);
+    for (let i = 0; i < area; i++) {
+        river[i] = drainage.accumulation[i] >= threshold
+            && !(hasWater(terrain) && cells[i].elevation < terrain.seaLevel)
+            ? 1 : 0;
+    }
+
+    if (carveDepth > 0) {
+        const elevations = cells.map((cell, i) =>
+            cell.elevation - (river[i] ? carveDepth : 0));
+        // Rivers must not run uphill, so working downstream from the 
+        // sources, no river cell may be higher than the one above it.
+        for (let k = area - 1; k >= 0; k--) {
+            const i = drainage.order[k];
+            const direction = drainage.directions[i];
+            if (!river[i] || direction === FlowDirection.NONE) {
+                continue;
+            }
+            const j = downstream(edges, width, depth, i, direction);
+            elevations[j] = Math.min(elevations[j], elevations[i]);
+        }
+        floorAtEdges(elevations, width, depth, edges);
+        settleBanks(elevations, width, depth, edges);
+        cells.forEach((cell, i) => {
+            cell.elevation = elevations[i];
+        });
+        terrain.minElev = elevations.reduce(
+            (min, e) => e < min ? e : min, Infinity);
+        terrain.maxElev = elevations.reduce(
+            (max, e) => e > max ? e : max, -Infinity);
+    }
+
+    // The carving changes the land, so drain it again.
+    const carved = carveDepth > 0 ? computeDrainage(terrain, width) : drainage;
+    cells.forEach((cell, i) => {
+        cell.flowDirection = carved.directions[i];
+        cell.flowAccumulation = carved.accumulation[i];
+        cell.river = !!river[i];
+    });
+
+    if (options.verbose) {
+        console.log(
+            "(applyHydrology) executed in " +
+            `${performance.now() - timeStart} ms.`
+        );
+    }
+
+    return terrain;
+};
@@ -0,0 +1,385 @@
+/*  *****************************************************************
+
+    MeshExport.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+/**
+ * @typedef {import('three').BufferGeometry} BufferGeometry
+ */
+
+/**
+ * A material of the exported mesh, one for each group of the geometry
+ * (the surface, then the skirts, if any)
+ * @typedef ExportMaterial
+ * @property {String} name The name of the material
+ * @property {number} [color] The base color, as 0xrrggbb; defaults to
+ * white, so that the vertex colors show as they are
+ * @property {String} [texture] The URI of the color texture, relative
+ * to the exported file, e.g. "img/terrain_pix_dif.png"
+ * @property {String} [normalMap] The URI of the normal map; it needs
+ * the tangents that TerrainMeshBuilder.build() writes on request
+ */
+
+/**
+ * Options for exportGLB() and exportOBJ()
+ * @typedef ExportOptions
+ * @property {String} [name] The name of the mesh; defaults to "terrain"
+ * @property {ExportMaterial[]} [materials] The materials, by group
+ * index.  Defaults to a plain "terrain" and "skirts".
+ * @property {String} [mtlFile] For OBJ, the name of the material
+ * library that the OBJ refers to; defaults to the mesh's name, with
+ * ".mtl"
+ */
+
+const DEFAULT_NAME = "terrain";
+const DEFAULT_MATERIALS = Object.freeze([
+    Object.freeze({ name: "terrain" }),
+    Object.freeze({ name: "skirts" }),
+]);
+const WHITE = 0xffffff;
+
+// The binary glTF container:  a header, then a JSON chunk and a binary
+// chunk, each 4-byte aligned, all little-endian
+const GLB_MAGIC = 0x46546c67;
+const GLB_VERSION = 2;
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_HEADER_LENGTH = 8;
+const GLB_JSON_CHUNK = 0x4e4f534a;
+const GLB_BIN_CHUNK = 0x004e4942;
+// Constants from the glTF specification
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+const GL_TRIANGLES = 4;
+const GL_NEAREST = 9728;
+const GL_REPEAT = 10497;
+// The glTF attributes for those of the geometry, with their types
+const GLTF_ATTRIBUTES = Object.freeze([
+    ["position", "POSITION", "VEC3"],
+    ["normal", "NORMAL", "VEC3"],
+    ["uv", "TEXCOORD_0", "VEC2"],
+    ["color", "COLOR_0", "VEC3"],
+    ["tangent", "TANGENT", "VEC4"],
+]);
+// The number of decimal places written to an OBJ
+const OBJ_PRECISION = 6;
+
+// Converts 0xrrggbb to [r, g, b], from 0 to 1.
+const toRGB = (color) => [
+    ((color >> 16) & 0xff) / 255,
+    ((color >> 8) & 0xff) / 255,
+    (color & 0xff) / 255
+];
+
+const resolveOptions = (geometry, options, caller) => {
+    if (!geometry || typeof geometry.getAttribute !== "function"
+        || !geometry.getAttribute("position")) {
+        throw new Error(`(${caller}) The parameter 'geometry' must be a `
+            + "BufferGeometry with a 'position' attribute.");
+    }
+    return {
+        name: options.name || DEFAULT_NAME,
+        materials: options.materials || DEFAULT_MATERIALS
+    };
+};
+
+/**
+ * Lists the triangles of each group of a geometry, as vertex indices,
+ * whether or not the geometry is indexed.
+ * @param {BufferGeometry} geometry The geometry
+ * @returns {{material: number, indices: Uint32Array}[]} The groups
+ */
+const groupIndices = (geometry) => {
+    const index = geometry.index ? geometry.index.array : null;
+    const count = index
+        ? index.length
+        : geometry.getAttribute("position").count;
+    const groups = geometry.groups && geometry.groups.length
+        ? geometry.groups
+        : [{ start: 0, count: count, materialIndex: 0 }];
+    return groups.map((group) => {
+        const indices = new Uint32Array(group.count);
+        for (let k = 0; k < group.count; k++) {
+            indices[k] = index
+                ? index[group.start + k]
+                : group.start + k;
+        }
+        return { material: group.materialIndex || 0, indices: indices };
+    });
+};
+
+/**
+ * Writes a geometry built by TerrainMeshBuilder.build() as binary glTF
+ * 2.0 (.glb):  its positions, normals, UVs, vertex colors and, if
+ * present, tangents, with one primitive for each group and its
+ * material.  Textures are referred to by URI, not embedded.  Needs no
+ * browser, so it works in Node.
+ * @param {BufferGeometry} geometry The geometry
+ * @param {ExportOptions} options Options for the export
+ * @returns {Uint8Array} The contents of the .glb file
+ */
+export const exportGLB = (geometry, options = {}) => {
+    const { name, materials } = resolveOptions(
+        geometry, options, "exportGLB");
+    const gltf = {
+        asset: { version: "2.0", generator: "sc2k-map" },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ name: name, mesh: 0 }],
+        meshes: [{ name: name, primitives: [] }],
+        materials: [],
+        buffers: [],
+        bufferViews: [],
+        accessors: []
+    };
+
+    // Every array goes into one buffer, each in its own view.
+    const arrays = [];
+    let byteLength = 0;
+    const addView = (array, target) => {
+        arrays.push([byteLength, array]);
+        gltf.bufferViews.push({
+            buffer: 0,
+            byteOffset: byteLength,
+            byteLength: array.byteLength,
+            target: target
+        });
+        byteLength += Math.ceil(array.byteLength / 4) * 4;
+        return gltf.bufferViews.length - 1;
+    };
+
+    const attributes = {};
+    for (const [attribute, semantic, type] of GLTF_ATTRIBUTES) {
+        const source = geometry.getAttribute(attribute);
+        if (!source) {
+            continue;
+        }
+        const array = Float32Array.from(source.array);
+        if (semantic === "TEXCOORD_0") {
+            // Three.js flips textures so that v = 0 is the bottom of the 
+            // image; in glTF, it is the top.
+            for (let k = 1; k < array.length; k += 2) {
+                array[k] = 1 - array[k];
+            }
+        }
+        else if (semantic === "TANGENT") {
+            // Flipping v mirrors the texture, so the bitangent, which
+            // follows v, reverses with it.
+            for (let k = 3; k < array.length; k += 4) {
+                array[k] = -array[k];
+            }
+        }
+        const accessor = {
+            bufferView: addView(array, GL_ARRAY_BUFFER),
+            componentType: GL_FLOAT,
+            count: source.count,
+            type: type
+        };
+        if (semantic === "POSITION") {
+            // Positions must give their bounds.
+            accessor.min = [Infinity, Infinity, Infinity];
+            accessor.max = [-Infinity, -Infinity, -Infinity];
+            for (let k = 0; k < array.length; k++) {
+                accessor.min[k % 3] = Math.min(accessor.min[k % 3], array[k]);
+                accessor.max[k % 3] = Math.max(accessor.max[k % 3], array[k]);
+            }
+        }
+        gltf.accessors.push(accessor);
+        attributes[semantic] = gltf.accessors.length - 1;
+    }
+
+    const usedMaterials = new Map();
+    const images = [];
+    const textureOf = (uri) => {
+        let source = images.indexOf(uri);
+        if (source < 0) {
+            images.push(uri);
+            source = images.length - 1;
+        }
+        return { index: source };
+    };
+    for (const group of groupIndices(geometry)) {
+        if (!usedMaterials.has(group.material)) {
+            const info = materials[group.material]
+                || { name: `material${group.material}` };
+            const material = {
+                name: info.name,
+                pbrMetallicRoughness: {
+                    baseColorFactor: [...toRGB(info.color ?? WHITE), 1],
+                    metallicFactor: 0,
+                    roughnessFactor: 1
+                }
+            };
+            if (info.texture) {
+                material.pbrMetallicRoughness.baseColorTexture =
+                    textureOf(info.texture);
+            }
+            if (info.normalMap) {
+                material.normalTexture = textureOf(info.normalMap);
+            }
+            gltf.materials.push(material);
+            usedMaterials.set(group.material, gltf.materials.length - 1);
+        }
+        gltf.accessors.push({
+            bufferView: addView(group.indices, GL_ELEMENT_ARRAY_BUFFER),
+            componentType: GL_UNSIGNED_INT,
+            count: group.indices.length,
+            type: "SCALAR"
+        });
+        gltf.meshes[0].primitives.push({
+            attributes: attributes,
+            indices: gltf.accessors.length - 1,
+            material: usedMaterials.get(group.material),
+            mode: GL_TRIANGLES
+        });
+    }
+    if (images.length) {
+        // Each image is a texture of its own, with the same index.
+        gltf.images = images.map((uri) => ({ uri: uri }));
+        gltf.samplers = [{
+            magFilter: GL_NEAREST,
+            wrapS: GL_REPEAT,
+            wrapT: GL_REPEAT
+        }];
+        gltf.textures = images.map((_, k) => ({ sampler: 0, source: k }));
+    }
+    gltf.buffers.push({ byteLength: byteLength });
+
+    // The JSON chunk is padded with spaces, and the binary one with
+    // zeroes.
+    const json = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonLength = Math.ceil(json.length / 4) * 4;
+    const total = GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH * 2
+        + jsonLength + byteLength;
+    const bytes = new Uint8Array(total);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, GLB_VERSION, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_JSON_CHUNK, true);
+    bytes.set(json, 20);
+    bytes.fill(0x20, 20 + json.length, 20 + jsonLength);
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, byteLength, true);
+    view.setUint32(binStart + 4, GLB_BIN_CHUNK, true);
+    for (const [offset, array] of arrays) {
+        bytes.set(new Uint8Array(
+            array.buffer, array.byteOffset, array.byteLength),
+        binStart + GLB_CHUNK_HEADER_LENGTH + offset);
+    }
+    return bytes;
+};
+
+/**
+ * Writes a geometry built by TerrainMeshBuilder.build() as Wavefront
+ * OBJ, with a material library (MTL) naming the materials of its
+ * groups and their textures.  Vertex colors are written after each
+ * position, as Blender and MeshLab read them.  Needs no browser, so it
+ * works in Node.
+ * @param {BufferGeometry} geometry The geometry
+ * @param {ExportOptions} options Options for the export
+ * @returns {{obj: String, mtl: String}} The contents of the .obj and
+ * .mtl files
+ */
+export const exportOBJ = (geometry, options = {}) => {
+    const { name, materials } = resolveOptions(
+        geometry, options, "exportOBJ");
+    const mtlFile = options.mtlFile || `${name}.mtl`;
+    const number = (value) => String(+value.toFixed(OBJ_PRECISION));
+    const lines = ["# sc2k-map terrain", `mtllib ${mtlFile}`, `o ${name}`];
+
+    const positions = geometry.getAttribute("position");
+    const normals = geometry.getAttribute("normal");
+    const uvs = geometry.getAttribute("uv");
+    const colors = geometry.getAttribute("color");
+    for (let v = 0; v < positions.count; v++) {
+        const values = [positions.getX(v), positions.getY(v),
+            positions.getZ(v)];
+        if (colors) {
+            values.push(colors.getX(v), colors.getY(v), colors.getZ(v));
+        }
+        lines.push(`v ${values.map(number).join(" ")}`);
+    }
+    if (uvs) {
+        for (let v = 0; v < uvs.count; v++) {
+            lines.push(`vt ${number(uvs.getX(v))} ${number(uvs.getY(v))}`);
+        }
+    }
+    if (normals) {
+        for (let v = 0; v < normals.count; v++) {
+            lines.push(`vn ${number(normals.getX(v))} `
+                + `${number(normals.getY(v))} ${number(normals.getZ(v))}`);
+        }
+    }
+
+    // Indices in an OBJ count from 1.
+    const corner = (v) => {
+        const k = v + 1;
+        if (uvs && normals) {
+            return `${k}/${k}/${k}`;
+        }
+        return uvs ? `${k}/${k}` : (normals ? `${k}//${k}` : `${k}`);
+    };
+    const used = new Set();
+    for (const group of groupIndices(geometry)) {
+        const info = materials[group.material]
+            || { name: `material${group.material}` };
+        used.add(group.material);
+        lines.push(`g ${info.name}`, `usemtl ${info.name}`);
+        const { indices } = group;
+        for (let k = 0; k + 2 < indices.length; k += 3) {
+            lines.push(`f ${corner(indices[k])} ${corner(indices[k + 1])} `
+                + `${corner(indices[k + 2])}`);
+        }
+    }
+
+    const mtl = ["# sc2k-map terrain"];
+    for (const m of [...used].sort((a, b) => a - b)) {
+        const info = materials[m] || { name: `material${m}` };
+        const rgb = toRGB(info.color ?? WHITE).map(number).join(" ");
+        mtl.push("", `newmtl ${info.name}`, `Kd ${rgb}`, "Ks 0 0 0", "d 1");
+        if (info.texture) {
+            mtl.push(`map_Kd ${info.texture}`);
+        }
+        if (info.normalMap) {
+            mtl.push(`map_Bump ${info.normalMap}`);
+        }
+    }
+    return { obj: lines.join("\n") + "\n", mtl: mtl.join("\n") + "\n" };
+};
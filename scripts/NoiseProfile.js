@@ -0,0 +1,229 @@
+/*  *****************************************************************
+
+    NoiseProfile.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+/**
+ * The ways in which octaves of noise can be combined
+ */
+export const FractalType = Object.freeze({
+    /** Fractal Brownian motion:  octaves are summed as they are. */
+    FBM: "fbm",
+    /** Octaves are folded and inverted, producing sharp crests. */
+    RIDGED: "ridged",
+    /** Octaves are folded, producing rounded, puffy hills. */
+    BILLOWED: "billowed",
+});
+
+/**
+ * Describes how octaves of noise are combined into a heightfield
+ * @typedef NoiseProfileInfo
+ * @property {String} description A description of the profile
+ * @property {String} type The fractal type (see FractalType)
+ * @property {number} octaves The number of octaves to sum
+ * @property {number} lacunarity The factor by which the frequency 
+ * grows from one octave to the next
+ * @property {number} persistence The factor by which the amplitude
+ * shrinks from one octave to the next
+ */
+
+export const NoiseProfiles = Object.freeze({
+    /**
+     * A single octave of noise, as in the original demo
+     * @type NoiseProfileInfo
+     */
+    SMOOTH: {
+        description: "Smooth",
+        type: FractalType.FBM,
+        octaves: 1,
+        lacunarity: 2,
+        persistence: 0.5,
+    },
+    /**
+     * Rolling hills
+     * @type NoiseProfileInfo
+     */
+    ROLLING_HILLS: {
+        description: "Rolling hills",
+        type: FractalType.FBM,
+        octaves: 4,
+        lacunarity: 2,
+        persistence: 0.5,
+    },
+    /**
+     * Mountain ranges
+     * @type NoiseProfileInfo
+     */
+    MOUNTAINS: {
+        description: "Mountain ranges",
+        type: FractalType.RIDGED,
+        octaves: 5,
+        lacunarity: 2.1,
+        persistence: 0.5,
+    },
+    /**
+     * Flatlands
+     * @type NoiseProfileInfo
+     */
+    FLATLANDS: {
+        description: "Flatlands",
+        type: FractalType.BILLOWED,
+        octaves: 3,
+        lacunarity: 2,
+        persistence: 0.3,
+    },
+    /**
+     * Ridged noise with the default octaves, for choosing the fractal 
+     * type by name
+     * @type NoiseProfileInfo
+     */
+    RIDGED: {
+        description: "Ridged",
+        type: FractalType.RIDGED,
+        octaves: 4,
+        lacunarity: 2,
+        persistence: 0.5,
+    },
+    /**
+     * Billowed noise with the default octaves, for choosing the fractal 
+     * type by name
+     * @type NoiseProfileInfo
+     */
+    BILLOWED: {
+        description: "Billowed",
+        type: FractalType.BILLOWED,
+        octaves: 4,
+        lacunarity: 2,
+        persistence: 0.5,
+    },
+});
+
+/**
+ * Resolves a noise profile from its name or from a profile object, 
+ * applying any overrides for individual parameters.
+ * @param {String|NoiseProfileInfo} profile The name of one of the 
+ * NoiseProfiles (case-insensitive, e.g. "mountains"), or a profile 
+ * object.  If omitted, NoiseProfiles.SMOOTH is used.
+ * @param {Object} overrides Values for 'type', 'octaves', 'lacunarity'
+ * or 'persistence' that take precedence over those of the profile
+ * @returns {NoiseProfileInfo} A complete profile
+ */
+export const resolveNoiseProfile = (profile, overrides = {}) => {
+    let base = profile || NoiseProfiles.SMOOTH;
+    if (typeof base === "string") {
+        const key = base.trim().toUpperCase().replace(/[\s-]+/g, "_");
+        base = NoiseProfiles[key];
+        if (!base) {
+            throw new Error("(resolveNoiseProfile) There is no noise profile "
+                + `named '${profile}'.`);
+        }
+    }
+
+    const result = { ...NoiseProfiles.SMOOTH, ...base };
+    for (const key of ["type", "octaves", "lacunarity", "persistence"]) {
+        if (overrides[key] !== undefined && overrides[key] !== null) {
+            result[key] = overrides[key];
+        }
+    }
+
+    if (!Object.values(FractalType).includes(result.type)) {
+        throw new Error("(resolveNoiseProfile) The fractal type "
+            + `'${result.type}' is not one of the values of FractalType.`);
+    }
+    if (!Number.isInteger(result.octaves) || result.octaves < 1) {
+        throw new Error("(resolveNoiseProfile) The number of octaves must "
+            + "be a positive integer.");
+    }
+    if (isNaN(result.lacunarity) || isNaN(result.persistence)) {
+        throw new Error("(resolveNoiseProfile) The lacunarity and "
+            + "persistence must be numbers.");
+    }
+    return result;
+};
+
+/**
+ * Samples a noise source at several octaves and combines the samples 
+ * according to a profile.
+ * @param {{perlin2D: (x: number, y: number) => number}} field The noise 
+ * source to sample
+ * @param {number} x The x-coordinate of the sample
+ * @param {number} y The y-coordinate of the sample
+ * @param {NoiseProfileInfo} profile The profile describing the octaves
+ * @param {number[]} period If given, the noise tiles with this period 
+ * ([x, y]), which must be in whole units.  Each octave's frequency is 
+ * then rounded so that it, too, repeats a whole number of times.
+ * @returns {number} A value in the range -1 to 1
+ */
+export const fractalNoise = (field, x, y, profile, period = undefined) => {
+    let frequency = 1;
+    let amplitude = 1;
+    let sum = 0;
+    let amplitudeSum = 0;
+    for (let octave = 0; octave < profile.octaves; octave++) {
+        let n;
+        if (period) {
+            const periodX = Math.max(1, Math.round(period[0] * frequency));
+            const periodY = Math.max(1, Math.round(period[1] * frequency));
+            n = field.perlin2D(
+                x * periodX / period[0],
+                y * periodY / period[1],
+                periodX,
+                periodY);
+        }
+        else {
+            n = field.perlin2D(x * frequency, y * frequency);
+        }
+        let value;
+        switch (profile.type) {
+            case FractalType.RIDGED: {
+                const ridge = 1 - Math.abs(n);
+                value = 2 * ridge * ridge - 1;
+                break;
+            }
+            case FractalType.BILLOWED:
+                value = 2 * Math.abs(n) - 1;
+                break;
+            default:
+                value = n;
+        }
+        sum += value * amplitude;
+        amplitudeSum += amplitude;
+        frequency *= profile.lacunarity;
+        amplitude *= profile.persistence;
+    }
+    return sum / amplitudeSum;
+};
@@ -0,0 +1,130 @@
+/*  *****************************************************************
+
+    PerlinNoise.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+
+import { createRandom, normalizeSeed } from "./SeededRandom.js";
+
+// Gradient directions for 2D noise: the four axes and the four 
+// diagonals, all of unit length.
+const GRADIENTS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+    [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2],
+];
+
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+const lerp = (a, b, t) => a + t * (b - a);
+
+/**
+ * Seedable two-dimensional Perlin noise.  Two instances created with 
+ * the same seed return identical values for identical inputs.
+ */
+export class PerlinNoise {
+
+    /**
+     * Creates a noise source
+     * @param {number|string} seed The seed that determines the 
+     * permutation table
+     */
+    constructor(seed = 0) {
+        this.seed = normalizeSeed(seed);
+
+        // Shuffle the permutation table (Fisher-Yates) using the 
+        // seeded generator, then double it to avoid wrapping indices.
+        const random = createRandom(this.seed);
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            p[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const swap = p[i];
+            p[i] = p[j];
+            p[j] = swap;
+        }
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+        }
+    }
+
+    /**
+     * Samples the noise field.  Given periods, the lattice of gradients
+     * repeats, so that the noise tiles seamlessly.
+     * @param {number} x The x-coordinate of the sample
+     * @param {number} y The y-coordinate of the sample
+     * @param {number} periodX The period in the x-direction, in whole 
+     * units; 0 for none
+     * @param {number} periodY The period in the y-direction, in whole 
+     * units; 0 for none
+     * @returns {number} A value in the range -1 to 1
+     */
+    perlin2D(x, y, periodX = 0, periodY = 0) {
+        const xFloor = Math.floor(x);
+        const yFloor = Math.floor(y);
+        const xf = x - xFloor;
+        const yf = y - yFloor;
+        const wrap = (i, period) => period > 0
+            ? ((i % period) + period) % period & 255
+            : i & 255;
+        const xi = wrap(xFloor, periodX);
+        const yi = wrap(yFloor, periodY);
+        const xj = periodX > 0 ? wrap(xFloor + 1, periodX) : xi + 1;
+        const yj = periodY > 0 ? wrap(yFloor + 1, periodY) : yi + 1;
+
+        const perm = this.perm;
+        const dot = (hash, dx, dy) => {
+            const g = GRADIENTS[hash & 7];
+            return g[0] * dx + g[1] * dy;
+        };
+
+        const n00 = dot(perm[perm[xi] + yi], xf, yf);
+        const n10 = dot(perm[perm[xj] + yi], xf - 1, yf);
+        const n01 = dot(perm[perm[xi] + yj], xf, yf - 1);
+        const n11 = dot(perm[perm[xj] + yj], xf - 1, yf - 1);
+
+        const u = fade(xf);
+        const v = fade(yf);
+        // The theoretical extreme of unit-gradient noise in two 
+        // dimensions is sqrt(1/2), so rescale to fill -1 to 1.
+        const result = lerp(lerp(n00, n10, u), lerp(n01, n11, u), v)
+            * Math.SQRT2;
+        return Math.max(-1, Math.min(1, result));
+    }
+}
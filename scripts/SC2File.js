@@ -0,0 +1,307 @@
+/*  *****************************************************************
+
+    SC2File.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { CellFacing, CellShape } from "./CellShape.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ */
+
+// A SimCity 2000 city file is an IFF-style container:  a "FORM" header,
+// the length of the rest of the file and the form type, then chunks of
+// a four-character ID and a length, all big-endian.
+const FORM_ID = "FORM";
+const FORM_TYPE = "SCDH";
+const HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+// The altitude map, two bytes per tile, is the one map stored
+// uncompressed.
+const ALTITUDE_CHUNK = "ALTM";
+// The terrain map, one byte per tile, RLE-compressed like the rest
+const TERRAIN_CHUNK = "XTER";
+const NAME_CHUNK = "CNAM";
+// The low five bits of a tile's altitude give its level; bit 7 is set
+// when the tile is covered by water.
+const ALTITUDE_MASK = 0x1f;
+const ALTITUDE_WATER_BIT = 0x80;
+// The high nibble of a terrain byte gives the tile's relation to the
+// water:  dry land, under water, shore, surface water (rivers and
+// lakes), and waterfalls and canals.
+const TERRAIN_SUBMERGED = 0x1;
+const TERRAIN_SHORE = 0x2;
+const TERRAIN_MAX_WATER = 0x4;
+// Cells under water, which the game does not give a moisture, are as
+// wet as the zones allow.
+const WATER_MOISTURE = 5;
+const DEFAULT_MOISTURE = 2;
+
+/**
+ * Options for parseSC2()
+ * @typedef SC2Options
+ * @property {number} [seaLevel] The elevation of the surface of the
+ * water.  If omitted, it is found from the tiles that the file marks
+ * as under water or on the shore:  one level above the highest of them.
+ * @property {number} [moisture] The moisture level (0-5) of the dry
+ * cells, which the file does not record.  Defaults to 2; cells covered
+ * by water get 5.  applyClimate() can derive moisture instead.
+ */
+
+// Reads four bytes as ASCII characters.
+const readId = (bytes, offset) => String.fromCharCode(
+    bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+
+// Views an ArrayBuffer, a typed array or a Node Buffer as bytes.
+const asBytes = (data) => {
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw new Error("(parseSC2) The parameter 'data' must be an "
+        + "ArrayBuffer, a typed array or a Buffer.");
+};
+
+/**
+ * Decompresses the run-length encoding used by the chunks of a
+ * SimCity 2000 file.  Each run starts with a count byte:  from 1 to 127,
+ * that many bytes follow, to be copied as they are; from 129 to 255, a
+ * single byte follows, to be repeated (count - 127) times.
+ * @param {Uint8Array} data The compressed bytes
+ * @param {number} expected The number of bytes the data decompresses
+ * to, if known; otherwise, the output grows as needed
+ * @returns {Uint8Array} The decompressed bytes
+ */
+export const decompressRLE = (data, expected = undefined) => {
+    let output = new Uint8Array(expected !== undefined
+        ? expected
+        : data.length * 2);
+    let length = 0;
+    const reserve = (count) => {
+        if (length + count <= output.length) {
+            return;
+        }
+        if (expected !== undefined) {
+            throw new Error("(decompressRLE) The data decompresses to "
+                + `more than the expected ${expected} bytes.`);
+        }
+        const grown = new Uint8Array(
+            Math.max(output.length * 2, length + count));
+        grown.set(output.subarray(0, length));
+        output = grown;
+    };
+
+    let i = 0;
+    while (i < data.length) {
+        const count = data[i++];
+        if (count > 0 && count < 128) {
+            if (i + count > data.length) {
+                throw new Error("(decompressRLE) The data is truncated:  "
+                    + `a run of ${count} bytes at offset ${i - 1} `
+                    + "extends past its end.");
+            }
+            reserve(count);
+            output.set(data.subarray(i, i + count), length);
+            length += count;
+            i += count;
+        }
+        else if (count > 128) {
+            if (i >= data.length) {
+                throw new Error("(decompressRLE) The data is truncated:  "
+                    + `a repeated run at offset ${i - 1} lacks its byte.`);
+            }
+            reserve(count - 127);
+            output.fill(data[i++], length, length + count - 127);
+            length += count - 127;
+        }
+        else {
+            throw new Error("(decompressRLE) The data holds the invalid "
+                + `count byte ${count} at offset ${i - 1}.`);
+        }
+    }
+    if (expected !== undefined && length !== expected) {
+        throw new Error("(decompressRLE) The data is truncated:  it "
+            + `decompresses to ${length} bytes, not ${expected}.`);
+    }
+    return output.subarray(0, length);
+};
+
+/**
+ * Splits a SimCity 2000 file into its chunks.
+ * @param {Uint8Array} bytes The contents of the file
+ * @returns {Map<String, Uint8Array>} The data of each chunk, by ID
+ */
+const readChunks = (bytes) => {
+    if (bytes.length < HEADER_LENGTH) {
+        throw new Error("(parseSC2) The file is truncated:  it is "
+            + `${bytes.length} bytes long, too short for a header.`);
+    }
+    if (readId(bytes, 0) !== FORM_ID || readId(bytes, 8) !== FORM_TYPE) {
+        throw new Error("(parseSC2) The file is not a SimCity 2000 city:  "
+            + `it must begin with "${FORM_ID}" and the form type `
+            + `"${FORM_TYPE}".`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const end = view.getUint32(4) + CHUNK_HEADER_LENGTH;
+    if (end > bytes.length) {
+        throw new Error("(parseSC2) The file is truncated:  its header "
+            + `gives a length of ${end} bytes, but it has ${bytes.length}.`);
+    }
+
+    const chunks = new Map();
+    let offset = HEADER_LENGTH;
+    while (offset < end) {
+        if (offset + CHUNK_HEADER_LENGTH > end) {
+            throw new Error("(parseSC2) The file is truncated:  the chunk "
+                + `header at offset ${offset} is incomplete.`);
+        }
+        const id = readId(bytes, offset);
+        const length = view.getUint32(offset + 4);
+        const start = offset + CHUNK_HEADER_LENGTH;
+        if (start + length > end) {
+            throw new Error(`(parseSC2) The file is truncated:  the "${id}" `
+                + `chunk at offset ${offset} runs past the end of the file.`);
+        }
+        chunks.set(id, bytes.subarray(start, start + length));
+        offset = start + length;
+    }
+    return chunks;
+};
+
+// Reads the city's name from its length-prefixed chunk, if present.
+const readName = (chunk) => {
+    if (!chunk || chunk.length === 0) {
+        return undefined;
+    }
+    const length = Math.min(chunk[0], chunk.length - 1);
+    return String.fromCharCode(...chunk.subarray(1, 1 + length))
+        .replace(/\0.*$/, "");
+};
+
+/**
+ * Reads the terrain of a SimCity 2000 city (.SC2) file:  the altitude
+ * of each tile, and which tiles are under water.  The original game's
+ * maps are 128 x 128 tiles; smaller square maps are read alike.  Tiles
+ * are read row by row, into cells in the order that
+ * TerrainMeshBuilder.build() expects.  Buildings, zones and the rest
+ * of the city are ignored.  The elevations are taken as they are; 
+ * validateTerrain() reports any that break this project's slope rule, 
+ * and constrainTerrain() smooths them.
+ * @param {ArrayBuffer|Uint8Array} data The contents of the file
+ * @param {SC2Options} options Options for the terrain
+ * @returns {Terrain} The terrain, with the city's 'name', if it has one
+ */
+export const parseSC2 = (data, options = {}) => {
+    const bytes = asBytes(data);
+    const chunks = readChunks(bytes);
+
+    const altitudes = chunks.get(ALTITUDE_CHUNK);
+    if (!altitudes) {
+        throw new Error("(parseSC2) The file is not supported:  it has no "
+            + `"${ALTITUDE_CHUNK}" chunk.`);
+    }
+    const size = Math.round(Math.sqrt(altitudes.length / 2));
+    if (size === 0 || size * size * 2 !== altitudes.length) {
+        throw new Error(`(parseSC2) The "${ALTITUDE_CHUNK}" chunk must hold `
+            + "two bytes for each tile of a square map, but it is "
+            + `${altitudes.length} bytes long.`);
+    }
+    const area = size * size;
+    const terrainTypes = chunks.has(TERRAIN_CHUNK)
+        ? decompressRLE(chunks.get(TERRAIN_CHUNK), area)
+        : null;
+
+    const altitudeView = new DataView(
+        altitudes.buffer, altitudes.byteOffset, altitudes.length);
+    const moisture = (options.moisture !== undefined
+        && options.moisture !== null
+        && !isNaN(options.moisture))
+        ? Math.max(0, Math.min(WATER_MOISTURE, Math.trunc(options.moisture)))
+        : DEFAULT_MOISTURE;
+    const cells = Array(area);
+    let minElev = Infinity;
+    let maxElev = -Infinity;
+    let highestSubmerged = -Infinity;
+    for (let i = 0; i < area; i++) {
+        const altitude = altitudeView.getUint16(i * 2);
+        const elevation = altitude & ALTITUDE_MASK;
+        // Without the terrain map, the altitude map's own flag tells
+        // which tiles are under water, though not which are the sea's.
+        const waterType = terrainTypes
+            ? terrainTypes[i] >> 4
+            : ((altitude & ALTITUDE_WATER_BIT) ? TERRAIN_SUBMERGED : 0);
+        if (waterType > TERRAIN_MAX_WATER) {
+            throw new Error("(parseSC2) The file is not supported:  tile "
+                + `${i} has the unknown terrain type ${terrainTypes[i]}.`);
+        }
+        if (waterType === TERRAIN_SUBMERGED || waterType === TERRAIN_SHORE) {
+            highestSubmerged = Math.max(highestSubmerged, elevation);
+        }
+        cells[i] = {
+            "elevation": elevation,
+            "moisture": waterType > 0 ? WATER_MOISTURE : moisture,
+            "xIndex": i % size,
+            "zIndex": Math.trunc(i / size),
+            "shape": CellShape.FLAT,
+            "facing": CellFacing.NONE
+        };
+        minElev = Math.min(minElev, elevation);
+        maxElev = Math.max(maxElev, elevation);
+    }
+
+    let seaLevel = undefined;
+    if (options.seaLevel !== undefined
+        && options.seaLevel !== null
+        && !isNaN(options.seaLevel)) {
+        seaLevel = Number(options.seaLevel);
+    }
+    else if (highestSubmerged > -Infinity) {
+        seaLevel = highestSubmerged + 1;
+    }
+
+    return {
+        cells: cells,
+        minElev: minElev,
+        maxElev: maxElev,
+        width: size,
+        depth: size,
+        seaLevel: seaLevel,
+        name: readName(chunks.get(NAME_CHUNK))
+    };
+};
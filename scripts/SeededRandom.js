@@ -0,0 +1,88 @@
+/*  *****************************************************************
+
+    SeededRandom.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+
+/**
+ * Converts a seed into an unsigned 32-bit integer.  Numbers, and 
+ * strings of digits, are truncated; other strings (e.g., "map #48213")
+ * are hashed with FNV-1a, so that any value a user types can serve as 
+ * a seed.
+ * @param {number|string} seed The seed to normalize
+ * @returns {number} An unsigned 32-bit integer
+ */
+export const normalizeSeed = (seed) => {
+    if (typeof seed === "string" && /^\d+$/.test(seed)) {
+        seed = Number(seed);
+    }
+    if (typeof seed === "string") {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    return (seed && !isNaN(seed)) ? Math.trunc(seed) >>> 0 : 0;
+};
+
+/**
+ * Creates a seed at random, for callers that did not supply one.
+ * @returns {number} An unsigned 32-bit integer
+ */
+export const randomSeed = () => {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+};
+
+/**
+ * Creates a pseudo-random number generator (Mulberry32).  The 
+ * sequence is fully determined by the seed, which is what makes 
+ * generated maps reproducible.
+ * @param {number|string} seed The seed for the generator
+ * @returns {() => number} A function returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+};
@@ -0,0 +1,479 @@
+/*  *****************************************************************
+
+    SlopeSolver.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+// Finds, for any grid of elevations, the closest grid (in the sense of
+// minimum total absolute deviation) in which every cell differs from 
+// each of its eight neighbors by at most one level.
+//
+// The problem is solved exactly.  Every optimal grid lies between two 
+// bounds, found by propagation:  the largest grid that satisfies the 
+// rule and lies nowhere above the original, and the smallest that lies
+// nowhere below it.  Away from the cells that break the rule the two 
+// meet, so only the steep parts of the map are in doubt.
+//
+// Starting from the lower bound, the solver raises cells one level at 
+// a time.  At each step it raises the set of cells that reduces the 
+// total deviation the most:  raising a cell costs one unit if it is 
+// already at or above its original elevation, and saves one if it is 
+// below, and the slope rule requires that a cell be raised only along
+// with each neighbor a level below it.  The best set is a maximum-
+// weight closure of those implications, which is the source side of a 
+// minimum cut.  Because the problem is L-natural-convex, repeating the
+// step until no set helps reaches the optimum, in as many steps as the
+// furthest that any cell rises, and each step's network has only one 
+// node for each cell still in doubt.  Every direction is treated 
+// identically, so the result does not depend on the order in which 
+// the cells are scanned.
+//
+// Where several grids are equally close, the lowest of them is chosen.
+//
+// The edges of the map follow its edge mode.  When the map wraps, 
+// cells on opposite edges are neighbors; when its edges are at a fixed 
+// height, the cells along them are bounded to within one level of it.
+
+import { EdgeMode, neighborIndex, terrainEdges } from "./EdgeMode.js";
+
+const INFINITE = 0x3fffffff;
+
+// Offsets of the eight neighbors of a cell, as [dx, dz]
+const NEIGHBORS = [
+    [-1, -1], [0, -1], [1, -1],
+    [-1, 0], [1, 0],
+    [-1, 1], [0, 1], [1, 1],
+];
+
+// Offsets of the neighbors that follow a cell in scan order; checking 
+// only these covers every pair of neighbors once.
+const FORWARD_NEIGHBORS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+const CLAMPED_EDGES = Object.freeze({ mode: EdgeMode.CLAMP, height: 0 });
+
+const isEdgeCell = (width, depth, x, z) => {
+    return x === 0 || z === 0 || x === width - 1 || z === depth - 1;
+};
+
+/**
+ * Tests whether a grid of elevations already satisfies the slope rule
+ * @param {ArrayLike<number>} elevations The elevations, in a flat 
+ * array of size width * depth
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode; 
+ * defaults to "clamp"
+ * @returns {boolean} True if no cell differs from any of its eight 
+ * neighbors by more than one level
+ */
+export const satisfiesSlopeRule = (
+    elevations,
+    width,
+    depth,
+    edges = CLAMPED_EDGES) => {
+
+    if (edges.mode !== EdgeMode.CLAMP) {
+        for (let z = 0; z < depth; z++) {
+            for (let x = 0; x < width; x++) {
+                const e = elevations[z * width + x];
+                if (edges.mode === EdgeMode.FIXED
+                    && isEdgeCell(width, depth, x, z)
+                    && Math.abs(e - edges.height) > 1) {
+                    return false;
+                }
+                for (const [dx, dz] of FORWARD_NEIGHBORS) {
+                    const j = neighborIndex(
+                        edges, width, depth, x + dx, z + dz);
+                    if (j >= 0 && Math.abs(e - elevations[j]) > 1) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+    for (let z = 0; z < depth; z++) {
+        for (let x = 0; x < width; x++) {
+            const e = elevations[z * width + x];
+            // Checking the forward half of the neighbors covers every 
+            // pair once.
+            if ((x < width - 1
+                    && Math.abs(e - elevations[z * width + x + 1]) > 1)
+                || (z < depth - 1 && x > 0
+                    && Math.abs(e - elevations[(z + 1) * width + x - 1]) > 1)
+                || (z < depth - 1
+                    && Math.abs(e - elevations[(z + 1) * width + x]) > 1)
+                || (z < depth - 1 && x < width - 1
+                    && Math.abs(e - elevations[(z + 1) * width + x + 1]) > 1)) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+/**
+ * A flow network with integer capacities, solved with Dinic's 
+ * algorithm.  Edges are stored in typed arrays; edge e and its 
+ * residual twin are e and e ^ 1.
+ */
+class FlowNetwork {
+
+    constructor(nodeCount, edgeCapacity) {
+        this.nodeCount = nodeCount;
+        this.head = new Int32Array(nodeCount).fill(-1);
+        this.to = new Int32Array(edgeCapacity * 2);
+        this.next = new Int32Array(edgeCapacity * 2);
+        this.cap = new Int32Array(edgeCapacity * 2);
+        this.edgeCount = 0;
+    }
+
+    addEdge(u, v, capacity) {
+        let e = this.edgeCount;
+        this.to[e] = v;
+        this.cap[e] = capacity;
+        this.next[e] = this.head[u];
+        this.head[u] = e;
+        e++;
+        this.to[e] = u;
+        this.cap[e] = 0;
+        this.next[e] = this.head[v];
+        this.head[v] = e;
+        this.edgeCount += 2;
+    }
+
+    maxFlow(source, sink) {
+        const { head, to, next, cap } = this;
+        const level = new Int32Array(this.nodeCount);
+        const current = new Int32Array(this.nodeCount);
+        const queue = new Int32Array(this.nodeCount);
+        const path = new Int32Array(this.nodeCount);
+
+        const buildLevels = () => {
+            level.fill(-1);
+            level[source] = 0;
+            let qHead = 0;
+            let qTail = 0;
+            queue[qTail++] = source;
+            while (qHead < qTail && level[sink] < 0) {
+                const u = queue[qHead++];
+                for (let e = head[u]; e !== -1; e = next[e]) {
+                    if (cap[e] > 0 && level[to[e]] < 0) {
+                        level[to[e]] = level[u] + 1;
+                        queue[qTail++] = to[e];
+                    }
+                }
+            }
+            if (level[sink] < 0) {
+                return false;
+            }
+            // No shortest path passes through a node as far from the 
+            // source as the sink, so leave those out of the level graph.
+            for (let q = 0; q < qTail; q++) {
+                if (queue[q] !== sink && level[queue[q]] >= level[sink]) {
+                    level[queue[q]] = -1;
+                }
+            }
+            return true;
+        };
+
+        // Finds one augmenting path in the level graph without 
+        // recursion, and pushes as much flow as it can carry.
+        const augment = () => {
+            let depth = 0;
+            let u = source;
+            for (;;) {
+                if (u === sink) {
+                    let bottleneck = INFINITE;
+                    for (let i = 0; i < depth; i++) {
+                        bottleneck = Math.min(bottleneck, cap[path[i]]);
+                    }
+                    for (let i = 0; i < depth; i++) {
+                        cap[path[i]] -= bottleneck;
+                        cap[path[i] ^ 1] += bottleneck;
+                    }
+                    return bottleneck;
+                }
+                let e = current[u];
+                while (e !== -1
+                    && !(cap[e] > 0 && level[to[e]] === level[u] + 1)) {
+                    e = next[e];
+                }
+                current[u] = e;
+                if (e !== -1) {
+                    path[depth++] = e;
+                    u = to[e];
+                }
+                else {
+                    // Dead end:  remove the node from the level graph 
+                    // and retreat.
+                    if (u === source) {
+                        return 0;
+                    }
+                    level[u] = -1;
+                    const back = path[--depth];
+                    u = to[back ^ 1];
+                    current[u] = next[current[u]];
+                }
+            }
+        };
+
+        let flow = 0;
+        while (buildLevels()) {
+            current.set(head);
+            let pushed;
+            while ((pushed = augment()) > 0) {
+                flow += pushed;
+            }
+        }
+        return flow;
+    }
+
+    // Marks the nodes reachable from the source in the residual graph, 
+    // i.e. the source side of the minimum cut.
+    reachableFrom(source) {
+        const { head, to, next, cap } = this;
+        const seen = new Uint8Array(this.nodeCount);
+        const stack = new Int32Array(this.nodeCount);
+        let top = 0;
+        seen[source] = 1;
+        stack[top++] = source;
+        while (top > 0) {
+            const u = stack[--top];
+            for (let e = head[u]; e !== -1; e = next[e]) {
+                if (cap[e] > 0 && !seen[to[e]]) {
+                    seen[to[e]] = 1;
+                    stack[top++] = to[e];
+                }
+            }
+        }
+        return seen;
+    }
+}
+
+/**
+ * Finds the grid nearest to the given elevations, on one side of them,
+ * that satisfies the slope rule:  with a direction of -1, the largest 
+ * grid nowhere above them; with 1, the smallest nowhere below them.  
+ * For the "fixed" edge mode, the edge cells are also kept within one 
+ * level of the edge height, as far as the direction allows; passing 
+ * the result through the other direction finishes the job.
+ * @param {ArrayLike<number>} elevations The elevations, in a flat 
+ * array of size width * depth
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode
+ * @param {number} direction -1 to lower the cells, or 1 to raise them
+ * @returns {Int32Array} The new grid
+ */
+const envelope = (elevations, width, depth, edges, direction) => {
+    const result = Int32Array.from(elevations);
+    const fixed = edges.mode === EdgeMode.FIXED;
+    // Lowering, a cell may be at most one level above its neighbors; 
+    // raising, at most one below.
+    const limit = (v, neighbor) => direction < 0
+        ? Math.min(v, neighbor + 1)
+        : Math.max(v, neighbor - 1);
+    const relax = (x, z) => {
+        const i = z * width + x;
+        let v = result[i];
+        for (const [dx, dz] of NEIGHBORS) {
+            const j = neighborIndex(edges, width, depth, x + dx, z + dz);
+            if (j >= 0) {
+                v = limit(v, result[j]);
+            }
+            else if (fixed) {
+                v = limit(v, edges.height);
+            }
+        }
+        if (v === result[i]) {
+            return false;
+        }
+        result[i] = v;
+        return true;
+    };
+    // Scan forward and backward until nothing changes.  On a clamped 
+    // or fixed map, one scan each way settles every cell; a wrapped 
+    // one may need a few more.
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let z = 0; z < depth; z++) {
+            for (let x = 0; x < width; x++) {
+                changed = relax(x, z) || changed;
+            }
+        }
+        for (let z = depth - 1; z >= 0; z--) {
+            for (let x = width - 1; x >= 0; x--) {
+                changed = relax(x, z) || changed;
+            }
+        }
+    }
+    return result;
+};
+
+/**
+ * Finds the grid closest to the given elevations (minimum total 
+ * absolute deviation) in which every cell differs from each of its 
+ * eight neighbors by at most one level.  Elevations are rounded to 
+ * whole levels first.
+ * @param {ArrayLike<number>} elevations The elevations, in a flat 
+ * array of size width * depth
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction; 
+ * defaults to elevations.length / width
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode; 
+ * defaults to "clamp"
+ * @returns {number[]} The solved elevations, in a new flat array
+ */
+export const solveSlopeConstraints = (
+    elevations,
+    width,
+    depth = undefined,
+    edges = CLAMPED_EDGES) => {
+
+    if (!width || isNaN(width)) {
+        throw new Error("(solveSlopeConstraints) The parameter 'width' "
+            + "must be supplied, and it must be a number.");
+    }
+    depth = (depth && !isNaN(depth)) ? depth : elevations.length / width;
+    const area = width * depth;
+    if (!Number.isInteger(depth) || elevations.length !== area) {
+        throw new Error("(solveSlopeConstraints) The parameter "
+            + "'elevations' must be an array whose length is the product "
+            + "of the 'width' and 'depth' parameters.");
+    }
+
+    const original = Array.from(elevations, (e) => Math.round(e));
+    if (satisfiesSlopeRule(original, width, depth, edges)) {
+        return original;
+    }
+
+    // Every optimal grid lies between these bounds, which also keep
+    // the edge cells of a fixed-height map within one level of it.
+    const lower = envelope(
+        envelope(original, width, depth, edges, -1),
+        width, depth, edges, 1);
+    const upper = envelope(
+        envelope(original, width, depth, edges, 1),
+        width, depth, edges, -1);
+
+    const result = Int32Array.from(lower);
+    let rising = [];
+    for (let i = 0; i < area; i++) {
+        if (lower[i] < upper[i]) {
+            rising.push(i);
+        }
+    }
+    // For each cell that may rise, one more than its node in the 
+    // network; otherwise 0
+    const node = new Int32Array(area);
+    while (rising.length > 0) {
+        rising = rising.filter((i) => result[i] < upper[i]);
+        rising.forEach((i, n) => node[i] = n + 1);
+        const source = rising.length;
+        const sink = source + 1;
+
+        // Visits the edges of the network, so that they can be 
+        // counted before they are stored.  A cell that must not rise,
+        // or that drags up one that must not, is tied to the sink.
+        const forEachEdge = (addEdge) => {
+            rising.forEach((i, n) => {
+                const x = i % width;
+                const z = Math.trunc(i / width);
+                if (result[i] < original[i]) {
+                    addEdge(source, n, 1);
+                }
+                else {
+                    addEdge(n, sink, 1);
+                }
+                for (const [dx, dz] of NEIGHBORS) {
+                    const j = neighborIndex(
+                        edges, width, depth, x + dx, z + dz);
+                    if (j >= 0 && result[j] < result[i]) {
+                        addEdge(n, node[j] ? node[j] - 1 : sink, INFINITE);
+                    }
+                }
+            });
+        };
+        let edgeCount = 0;
+        forEachEdge(() => edgeCount++);
+        const network = new FlowNetwork(source + 2, edgeCount);
+        forEachEdge((u, v, capacity) => network.addEdge(u, v, capacity));
+
+        network.maxFlow(source, sink);
+        const raised = network.reachableFrom(source);
+        let changed = false;
+        rising.forEach((i, n) => {
+            node[i] = 0;
+            if (raised[n]) {
+                result[i]++;
+                changed = true;
+            }
+        });
+        if (!changed) {
+            break;
+        }
+    }
+    return Array.from(result);
+};
+
+/**
+ * Applies the slope rule to a terrain in place, moving the elevations 
+ * of its cells as little as possible, and updates its 'minElev' and 
+ * 'maxElev' to match.  Works equally on generated, imported or 
+ * hand-edited terrain.  The terrain's edge mode, if any, applies.
+ * @param {import('./TerrainGenerator.js').Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @returns {import('./TerrainGenerator.js').Terrain} The same terrain
+ */
+export const constrainTerrain = (terrain, width) => {
+    const solved = solveSlopeConstraints(
+        terrain.cells.map((cell) => cell.elevation),
+        width,
+        undefined,
+        terrainEdges(terrain));
+    let minElev = Number.MAX_SAFE_INTEGER;
+    let maxElev = Number.MIN_SAFE_INTEGER;
+    terrain.cells.forEach((cell, i) => {
+        cell.elevation = solved[i];
+        minElev = solved[i] < minElev ? solved[i] : minElev;
+        maxElev = solved[i] > maxElev ? solved[i] : maxElev;
+    });
+    terrain.minElev = minElev;
+    terrain.maxElev = maxElev;
+    return terrain;
+};
@@ -0,0 +1,480 @@
+/*  *****************************************************************
+
+    TerrainFile.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { CellFacing, CellShape } from "./CellShape.js";
+import { resolveEdges } from "./EdgeMode.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ * @typedef {import('./TerrainGenerator.js').TerrainGeneratorParameters}
+ * TerrainGeneratorParameters
+ */
+
+/**
+ * The version of the terrain format that serializeTerrain() writes.
+ * Raise it whenever the format changes, and add a migration from the
+ * previous version to MIGRATIONS.
+ */
+export const TERRAIN_FORMAT_VERSION = 1;
+
+/**
+ * The encodings in which a terrain can be saved
+ */
+export const TerrainFormat = Object.freeze({
+    /**
+     * Indented JSON, with one line for each row of the map, so that
+     * changes to a saved terrain make readable diffs
+     */
+    JSON: "json",
+    /** The compact binary form, as a Uint8Array */
+    BINARY: "binary",
+    /** The binary form, encoded in base64 */
+    BASE64: "base64",
+});
+
+// Identifies a saved terrain, in the "format" of the JSON and at the
+// start of the binary form
+const FORMAT_NAME = "sc2k-map/terrain";
+const MAGIC = "SC2M";
+// The binary form:  the magic, the version (uint16) and the length of
+// the header (uint32), then the header as UTF-8 JSON, the elevations
+// (int8 or int16, as the header says) and the moisture (uint8), all
+// big-endian.
+const BINARY_PREFIX_LENGTH = 10;
+// Keeps the arguments to String.fromCharCode() within limits
+const BASE64_CHUNK = 0x8000;
+const MAX_MOISTURE = 5;
+// The range of the binary form's widest elevations (int16)
+const MIN_ELEVATION = -0x8000;
+const MAX_ELEVATION = 0x7fff;
+
+/**
+ * A saved terrain, as it appears in the JSON form.  The binary form
+ * holds the same document, with the grids packed.
+ * @typedef TerrainDocument
+ * @property {String} format Always "sc2k-map/terrain"
+ * @property {number} version The version of the format
+ * @property {number} width The number of cells in the x-direction
+ * @property {number} depth The number of cells in the z-direction
+ * @property {number|null} seaLevel The elevation of the surface of the
+ * water, or null if the terrain has none
+ * @property {String} edgeMode The terrain's edge mode (see EdgeMode)
+ * @property {number} edgeHeight For the "fixed" edge mode, the
+ * elevation around the map
+ * @property {TerrainGeneratorParameters|null} generator The parameters
+ * of the generator that made the terrain, or null
+ * @property {number[][]} elevation The elevation of each cell, row by
+ * row
+ * @property {number[][]} moisture The moisture (0-5) of each cell, row
+ * by row
+ */
+
+/**
+ * Migrations of older documents, by the version from which each one
+ * upgrades:  MIGRATIONS[v] takes a document of version v and returns
+ * one of version v + 1.
+ * @type {Object<number, (document: Object) => Object>}
+ */
+const MIGRATIONS = Object.freeze({
+    /**
+     * Version 0 is a terrain saved before there was a format:  the
+     * Terrain itself, as JSON.stringify() writes it, with its cells.  It
+     * keeps the seed, but no other parameters of the generator.
+     */
+    0: (legacy) => {
+        const cells = legacy.cells;
+        const width = legacy.width || Math.sqrt(cells.length);
+        if (!Number.isInteger(width) || cells.length % width !== 0) {
+            throw new Error("(deserializeTerrain) The terrain has no "
+                + "'width', and its cells do not form a square.");
+        }
+        const depth = cells.length / width;
+        const seaLevel = legacy.seaLevel;
+        return {
+            format: FORMAT_NAME,
+            version: 1,
+            width: width,
+            depth: depth,
+            seaLevel: (seaLevel !== undefined && seaLevel !== null
+                && !isNaN(seaLevel)) ? seaLevel : null,
+            edgeMode: legacy.edgeMode,
+            edgeHeight: legacy.edgeHeight,
+            generator: legacy.generator
+                || (legacy.seed !== undefined ? { seed: legacy.seed } : null),
+            elevation: toRows(
+                cells.map((cell) => cell.elevation), width, depth),
+            moisture: toRows(
+                cells.map((cell) => cell.moisture), width, depth),
+        };
+    },
+});
+
+// Determines whether data is a terrain saved before there was a format
+// (version 0).
+const isLegacyTerrain = (data) => data.format === undefined
+    && data.version === undefined
+    && Array.isArray(data.cells);
+
+// The generator's parameters, less any that cannot be saved (a mask
+// given as a function or as pixels)
+const savedParameters = (generator) => {
+    if (!generator) {
+        return null;
+    }
+    const mask = generator.mask;
+    const savable = typeof mask === "string"
+        || (mask && Object.getPrototypeOf(mask) === Object.prototype);
+    return JSON.parse(JSON.stringify({
+        ...generator,
+        mask: savable ? mask : null
+    }));
+};
+
+// Splits a flat array into rows of the map.
+const toRows = (values, width, depth) => Array.from({ length: depth },
+    (_, z) => values.slice(z * width, (z + 1) * width));
+
+/**
+ * Checks that a cell's elevation and moisture can be saved:  that both 
+ * are whole numbers, the elevation fits the binary form, and the 
+ * moisture is from 0 to 5.
+ * @param {String} caller The name of the function, for the error
+ * @param {number} i The index of the cell
+ * @param {number} elevation The elevation of the cell
+ * @param {number} moisture The moisture of the cell
+ */
+const checkCell = (caller, i, elevation, moisture) => {
+    if (!Number.isInteger(elevation)
+        || elevation < MIN_ELEVATION
+        || elevation > MAX_ELEVATION) {
+        throw new Error(`(${caller}) The elevation of cell ${i} must be `
+            + `a whole number from ${MIN_ELEVATION} to ${MAX_ELEVATION}.`);
+    }
+    if (!Number.isInteger(moisture)
+        || moisture < 0 || moisture > MAX_MOISTURE) {
+        throw new Error(`(${caller}) The moisture of cell ${i} must be `
+            + `a whole number from 0 to ${MAX_MOISTURE}.`);
+    }
+};
+
+// Parses JSON text, reporting a syntax error as unreadable data.
+const parseJSON = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error("(deserializeTerrain) The data is not valid "
+            + `JSON:  ${e.message}`);
+    }
+};
+
+/**
+ * Builds the document that represents a terrain.
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @returns {TerrainDocument} The document
+ */
+const toDocument = (terrain, width) => {
+    const depth = terrain.cells.length / width;
+    if (!Number.isInteger(depth)) {
+        throw new Error("(serializeTerrain) The number of the terrain's "
+            + "cells must be a multiple of its width.");
+    }
+    terrain.cells.forEach((cell, i) => {
+        checkCell("serializeTerrain", i, cell.elevation, cell.moisture);
+    });
+    const edges = resolveEdges(terrain.edgeMode, terrain.edgeHeight);
+    const seaLevel = terrain.seaLevel;
+    return {
+        format: FORMAT_NAME,
+        version: TERRAIN_FORMAT_VERSION,
+        width: width,
+        depth: depth,
+        seaLevel: (seaLevel !== undefined && seaLevel !== null
+            && !isNaN(seaLevel)) ? seaLevel : null,
+        edgeMode: edges.mode,
+        edgeHeight: edges.height,
+        generator: savedParameters(terrain.generator),
+        elevation: toRows(
+            terrain.cells.map((cell) => cell.elevation), width, depth),
+        moisture: toRows(
+            terrain.cells.map((cell) => cell.moisture), width, depth),
+    };
+};
+
+// Writes a document as JSON, keeping each row of a grid on one line.
+const writeJSON = (doc) => JSON.stringify(doc, null, 2)
+    .replace(/\[\s+(-?\d+(?:,\s+-?\d+)*)\s+\]/g,
+        (_, values) => `[${values.split(/,\s+/).join(", ")}]`);
+
+// Packs a document into the binary form.
+const writeBinary = (doc) => {
+    const { width, depth } = doc;
+    const elevations = doc.elevation.flat();
+    const wide = elevations.some((e) => e < -128 || e > 127);
+    const header = new TextEncoder().encode(JSON.stringify({
+        ...doc,
+        elevation: undefined,
+        moisture: undefined,
+        elevationBytes: wide ? 2 : 1
+    }));
+    const area = width * depth;
+    const bytes = new Uint8Array(BINARY_PREFIX_LENGTH + header.length
+        + area * (wide ? 3 : 2));
+    const view = new DataView(bytes.buffer);
+    for (let k = 0; k < MAGIC.length; k++) {
+        bytes[k] = MAGIC.charCodeAt(k);
+    }
+    view.setUint16(4, doc.version);
+    view.setUint32(6, header.length);
+    bytes.set(header, BINARY_PREFIX_LENGTH);
+
+    let offset = BINARY_PREFIX_LENGTH + header.length;
+    for (const e of elevations) {
+        if (wide) {
+            view.setInt16(offset, e);
+            offset += 2;
+        }
+        else {
+            view.setInt8(offset++, e);
+        }
+    }
+    bytes.set(doc.moisture.flat(), offset);
+    return bytes;
+};
+
+// Unpacks a document from the binary form.
+const readBinary = (bytes) => {
+    const truncated = () => new Error("(deserializeTerrain) The data is "
+        + "truncated.");
+    if (bytes.length < BINARY_PREFIX_LENGTH) {
+        throw truncated();
+    }
+    const magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+    if (magic !== MAGIC) {
+        throw new Error("(deserializeTerrain) The data is not a saved "
+            + `terrain:  it must begin with "${MAGIC}".`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const headerLength = view.getUint32(6);
+    if (bytes.length < BINARY_PREFIX_LENGTH + headerLength) {
+        throw truncated();
+    }
+    const header = parseJSON(new TextDecoder().decode(bytes.subarray(
+        BINARY_PREFIX_LENGTH, BINARY_PREFIX_LENGTH + headerLength)));
+    header.version = view.getUint16(4);
+
+    const { width, depth, elevationBytes } = header;
+    const area = width * depth;
+    let offset = BINARY_PREFIX_LENGTH + headerLength;
+    if (!Number.isInteger(area) || area < 0
+        || bytes.length < offset + area * (elevationBytes + 1)) {
+        throw truncated();
+    }
+    const elevations = Array(area);
+    for (let i = 0; i < area; i++) {
+        elevations[i] = elevationBytes === 2
+            ? view.getInt16(offset + i * 2)
+            : view.getInt8(offset + i);
+    }
+    offset += area * elevationBytes;
+    const moisture = Array.from(bytes.subarray(offset, offset + area));
+    delete header.elevationBytes;
+    return {
+        ...header,
+        elevation: toRows(elevations, width, depth),
+        moisture: toRows(moisture, width, depth)
+    };
+};
+
+const toBase64 = (bytes) => {
+    let binary = "";
+    for (let k = 0; k < bytes.length; k += BASE64_CHUNK) {
+        binary += String.fromCharCode(
+            ...bytes.subarray(k, k + BASE64_CHUNK));
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+    let binary;
+    try {
+        binary = atob(text.trim());
+    } catch (e) {
+        throw new Error("(deserializeTerrain) The data is neither JSON "
+            + "nor base64.");
+    }
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+/**
+ * Brings a document up to the current version of the format.
+ * @param {Object} doc The document, which may be older
+ * @returns {TerrainDocument} The document, in the current version
+ */
+const migrate = (doc) => {
+    if (!Number.isInteger(doc.version) || doc.version < 0) {
+        throw new Error("(deserializeTerrain) The data has no valid "
+            + "format version.");
+    }
+    if (doc.version > TERRAIN_FORMAT_VERSION) {
+        throw new Error("(deserializeTerrain) The data is in version "
+            + `${doc.version} of the format, which is newer than `
+            + `this reader (version ${TERRAIN_FORMAT_VERSION}).`);
+    }
+    while (doc.version < TERRAIN_FORMAT_VERSION) {
+        doc = MIGRATIONS[doc.version](doc);
+    }
+    return doc;
+};
+
+/**
+ * Saves a terrain:  its dimensions, the elevation and moisture of each
+ * cell, its sea level and edge mode, and the parameters of the
+ * generator that made it, if known.  The shapes and other properties
+ * that TerrainMeshBuilder.build() derives are left out.
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction;
+ * defaults to the terrain's 'width'
+ * @param {String} format The encoding (see TerrainFormat); defaults to
+ * JSON
+ * @returns {String|Uint8Array} The saved terrain:  a Uint8Array for
+ * TerrainFormat.BINARY, otherwise a string
+ */
+export const serializeTerrain = (
+    terrain,
+    width = undefined,
+    format = TerrainFormat.JSON) => {
+
+    if (!terrain || !Array.isArray(terrain.cells)) {
+        throw new Error("(serializeTerrain) The parameter 'terrain' must "
+            + "be a terrain with an array of cells.");
+    }
+    const doc = toDocument(terrain, width || terrain.width);
+    switch (format) {
+        case TerrainFormat.JSON:
+            return writeJSON(doc);
+        case TerrainFormat.BINARY:
+            return writeBinary(doc);
+        case TerrainFormat.BASE64:
+            return toBase64(writeBinary(doc));
+        default:
+            throw new Error("(serializeTerrain) The parameter 'format' must "
+                + `be one of ${Object.values(TerrainFormat).join(", ")}.`);
+    }
+};
+
+/**
+ * Loads a terrain saved by serializeTerrain(), in any of its formats,
+ * migrating it from an older version of the format if need be.  A 
+ * Terrain saved as plain JSON, before there was a format, is read as 
+ * version 0.
+ * @param {String|Uint8Array|ArrayBuffer|TerrainDocument} data The saved
+ * terrain:  JSON or base64 text, the binary form, or a parsed document
+ * @returns {Terrain} The terrain
+ */
+export const deserializeTerrain = (data) => {
+    let doc;
+    if (typeof data === "string") {
+        doc = data.trimStart().startsWith("{")
+            ? parseJSON(data)
+            : readBinary(fromBase64(data));
+    }
+    else if (data instanceof ArrayBuffer) {
+        doc = readBinary(new Uint8Array(data));
+    }
+    else if (ArrayBuffer.isView(data)) {
+        doc = readBinary(new Uint8Array(
+            data.buffer, data.byteOffset, data.byteLength));
+    }
+    else if (data && typeof data === "object") {
+        doc = data;
+    }
+    else {
+        throw new Error("(deserializeTerrain) The parameter 'data' must be "
+            + "a string, a Uint8Array, an ArrayBuffer or a document.");
+    }
+    if (isLegacyTerrain(doc)) {
+        doc = { ...doc, version: 0 };
+    }
+    else if (doc.format !== FORMAT_NAME) {
+        throw new Error("(deserializeTerrain) The data is not a saved "
+            + `terrain:  its format must be "${FORMAT_NAME}".`);
+    }
+    doc = migrate(doc);
+
+    const { width, depth } = doc;
+    const elevations = (doc.elevation || []).flat();
+    const moisture = (doc.moisture || []).flat();
+    const area = width * depth;
+    if (!Number.isInteger(area) || area < 1
+        || elevations.length !== area || moisture.length !== area) {
+        throw new Error("(deserializeTerrain) The data must hold an "
+            + "elevation and a moisture for each of width x depth cells.");
+    }
+
+    let minElev = Number.MAX_SAFE_INTEGER;
+    let maxElev = Number.MIN_SAFE_INTEGER;
+    const cells = elevations.map((elevation, i) => {
+        checkCell("deserializeTerrain", i, elevation, moisture[i]);
+        minElev = elevation < minElev ? elevation : minElev;
+        maxElev = elevation > maxElev ? elevation : maxElev;
+        return {
+            "elevation": elevation,
+            "moisture": moisture[i],
+            "xIndex": i % width,
+            "zIndex": Math.trunc(i / width),
+            "shape": CellShape.FLAT,
+            "facing": CellFacing.NONE
+        };
+    });
+    const edges = resolveEdges(doc.edgeMode, doc.edgeHeight);
+    const generator = doc.generator || undefined;
+    return {
+        cells: cells,
+        minElev: minElev,
+        maxElev: maxElev,
+        width: width,
+        depth: depth,
+        seaLevel: doc.seaLevel === null ? undefined : doc.seaLevel,
+        seed: generator ? generator.seed : undefined,
+        edgeMode: edges.mode,
+        edgeHeight: edges.height,
+        generator: generator
+    };
+};
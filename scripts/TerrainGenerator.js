@@ -38,7 +38,16 @@
 
 **********************************************************************  */
 
-import * as perlinNoise from "@leodeslf/perlin-noise";
+import { PerlinNoise } from "./PerlinNoise.js";
+import { fractalNoise, resolveNoiseProfile } from "./NoiseProfile.js";
+import { createMask } from "./TerrainMask.js";
+import { constrainTerrain } from "./SlopeSolver.js";
+import { normalizeSeed, randomSeed } from "./SeededRandom.js";
+import { CellFacing, CellShape } from "./CellShape.js";
+import { erodeHeightfield } from "./Erosion.js";
+import { applyClimate } from "./Climate.js";
+import { applyHydrology } from "./Hydrology.js";
+import { EdgeMode, resolveEdges } from "./EdgeMode.js";
 // import { TerrainType, TerrainUOffsets } from "./terrain_type.js";
 
 // Generate a flat array of 4,096 (64 x 64) height values and
@@ -46,10 +55,17 @@ import * as perlinNoise from "@leodeslf/perlin-noise";
 // for purposes of this demo, and it is not a part of the
 // answer to the problem as described.
 
-// const NOISE_SEED = 0;
 const DEFAULT_WIDTH = 64;
-const DEFAULT_RES = 0.1;
+// One noise period every 32 cells, as in the original demo.
+const DEFAULT_RES = 1 / 32;
 const DEFAULT_AMPLITUDE = 15;
+// Mixed into the seed for the moisture field, so that moisture is not 
+// simply a copy of elevation.
+const MOISTURE_SEED_SALT = 0x5bd1e995;
+// The frequency of the moisture noise, in noise periods per cell
+const MOISTURE_RES = 0.15;
+// Mixed into the seed for the erosion droplets
+const EROSION_SEED_SALT = 0x27d4eb2f;
 
 /**
  * Describes a cell of the terrain
@@ -58,8 +74,20 @@ const DEFAULT_AMPLITUDE = 15;
  * @property {number} moisture  The moisture level of the cell
  * @property {xIndex} xIndex    The x-index of the cell
  * @property {zIndex} zIndex    The z-index of the cell
- * @property {shape}  shape     The shape of the cell (flat, sloped, etc.)
- * @property {facing} facing    The facing of the cell
+ * @property {shape}  shape     The shape of the cell (flat, sloped, etc.; 
+ * see CellShape), set by TerrainMeshBuilder.build()
+ * @property {facing} facing    The facing of the cell (see CellFacing), set
+ * by TerrainMeshBuilder.build()
+ * @property {number} [water] The cell's relation to the water (see 
+ * WaterClass), set by TerrainMeshBuilder.build()
+ * @property {String} [terrainType] The kind of ground the cell is drawn 
+ * as (see TerrainType), set by TerrainMeshBuilder.build()
+ * @property {number} [flowDirection] The direction in which water flows 
+ * out of the cell (see FlowDirection), set by applyHydrology()
+ * @property {number} [flowAccumulation] The number of cells that drain 
+ * through the cell, including itself, set by applyHydrology()
+ * @property {boolean} [river] Whether a river runs through the cell, set
+ * by applyHydrology()
  */
 
 /**
@@ -68,87 +96,257 @@ const DEFAULT_AMPLITUDE = 15;
  * @property {number} maxElev The maximum elevation of the cells in the terrain
  * @property {number} minElev The minimum elevation of the cells in the terrain
  * @property {CellInfo[]} cells The cells in the terrain, in a flat array of 
- * size width * width.
+ * size width * depth, row by row (x varies fastest).
+ * @property {number} [width] The number of cells in the x-direction
+ * @property {number} [depth] The number of cells in the z-direction
+ * @property {number} [seaLevel] The elevation of the surface of the water. 
+ * Cells whose elevation is below it are under water.  If omitted, the 
+ * terrain has no water.
+ * @property {number} [seed] The seed from which the terrain was generated
+ * @property {String} [edgeMode] How the edge cells treat the neighbors
+ * they lack (see EdgeMode); if omitted, "clamp"
+ * @property {number} [edgeHeight] For the "fixed" edge mode, the 
+ * elevation of the missing neighbors
+ * @property {TerrainGeneratorParameters} [generator] The parameters of 
+ * the generator that made the terrain
+ */
+
+/**
+ * Options for a TerrainGenerator
+ * @typedef TerrainGeneratorOptions
+ * @property {number|string} [seed] The seed for the noise fields.  The 
+ * same seed, dimensions, amplitude and frequency always produce identical 
+ * cells.  If omitted, a seed is chosen at random and exposed as the 
+ * generator's 'seed' property.
+ * @property {number} [depth] The number of cells in the z-direction; 
+ * defaults to the width, for a square map
+ * @property {number} [seaLevel] The elevation of the surface of the 
+ * water; if omitted, the terrain has no water
+ * @property {String|import('./NoiseProfile.js').NoiseProfileInfo} [profile]
+ * The fractal profile for the elevation noise:  the name of one of the 
+ * NoiseProfiles (e.g. "mountains") or a profile object.  Defaults to a 
+ * single octave.
+ * @property {String} [type] Overrides the fractal type of the profile
+ * ("fbm", "ridged" or "billowed")
+ * @property {number} [octaves] Overrides the octave count of the profile
+ * @property {number} [lacunarity] Overrides the lacunarity of the profile
+ * @property {number} [persistence] Overrides the persistence of the 
+ * profile
+ * @property {import('./TerrainMask.js').MaskSpec} [mask] A falloff mask 
+ * applied to the elevation noise before smoothing, e.g. "island" or 
+ * "coast-north"
+ * @property {import('./Erosion.js').ErosionOptions} [erosion] Erosion 
+ * applied to the heightfield before it is quantised into levels; if 
+ * omitted, the terrain is not eroded
+ * @property {String} [edgeMode] How the edge cells treat the neighbors
+ * they lack (see EdgeMode):  "clamp" (the default), "wrap", for noise 
+ * and a slope rule that tile seamlessly, or "fixed", for edges that 
+ * meet a plain at 'edgeHeight'.  Masks are applied as given, so a map 
+ * that is to tile should use none, or one that is low all around.
+ * @property {number} [edgeHeight] For the "fixed" edge mode, the 
+ * elevation around the map.  Defaults to 0.
+ * @property {boolean|import('./Climate.js').ClimateOptions} [climate] 
+ * Derives moisture from wind, rain shadow and nearness to the sea, 
+ * instead of from noise:  true, or the climate's options
+ * @property {boolean|import('./Hydrology.js').HydrologyOptions} 
+ * [hydrology] Cuts rivers along the paths that carry the most water, 
+ * once the slope rule holds (see applyHydrology()):  true, or the 
+ * pass's options.  If omitted, the terrain has no rivers.
+ * @property {boolean} [verbose] Whether to log the time taken by each
+ * step on the console.  It does not change the terrain, so it is not
+ * one of the generator's parameters.
+ */
+
+/**
+ * The parameters of a TerrainGenerator:  its options, with the resolved
+ * 'seed' and 'profile', and the arguments to its constructor
+ * @typedef {TerrainGeneratorOptions & {width: number, amplitude: number,
+ * resolution: number}} TerrainGeneratorParameters
  */
 
 export class TerrainGenerator {
 
-    constructor(width, amplitude, resolution) {
+    /**
+     * Creates a TerrainGenerator
+     * @param {number} width The number of cells in the x-direction
+     * @param {number} amplitude The amplitude of the elevation noise, in 
+     * elevation levels from the lowest to the highest point
+     * @param {number} resolution The frequency of the elevation noise, in 
+     * noise periods per cell
+     * @param {TerrainGeneratorOptions} options Additional options
+     */
+    constructor(width, amplitude, resolution, options = {}) {
 
         this.width = (width && !isNaN(width)) ? width : DEFAULT_WIDTH;
-        this.area = this.width * this.width;
+        this.depth = (options.depth && !isNaN(options.depth))
+            ? options.depth : this.width;
+        this.area = this.width * this.depth;
         this.amplitude = (amplitude && !isNaN(amplitude))
             ? amplitude : DEFAULT_AMPLITUDE;
         this.frequency = (resolution && !isNaN(resolution))
             ? resolution : DEFAULT_RES;
+        this.seed = (options.seed !== undefined && options.seed !== null)
+            ? normalizeSeed(options.seed) : randomSeed();
+        this.elevationNoise = new PerlinNoise(this.seed);
+        this.moistureNoise = new PerlinNoise(
+            (this.seed ^ MOISTURE_SEED_SALT) >>> 0);
+        this.profile = resolveNoiseProfile(options.profile, options);
+        this.maskSpec = options.mask || null;
+        this.mask = createMask(this.maskSpec, this.width, this.depth);
+        this.seaLevel = (options.seaLevel !== undefined
+            && options.seaLevel !== null
+            && !isNaN(options.seaLevel))
+            ? Number(options.seaLevel) : undefined;
+        this.erosion = options.erosion || null;
+        this.climate = options.climate || null;
+        this.hydrology = options.hydrology || null;
+        this.edges = resolveEdges(options.edgeMode, options.edgeHeight);
+        this.verbose = !!options.verbose;
     }
 
-    noise(x, y) {
+    /**
+     * Returns the parameters of the generator, from which 
+     * new TerrainGenerator(p.width, p.amplitude, p.resolution, p) makes
+     * the same terrain.
+     * @returns {TerrainGeneratorParameters} The parameters
+     */
+    parameters() {
+        return {
+            width: this.width,
+            depth: this.depth,
+            amplitude: this.amplitude,
+            resolution: this.frequency,
+            seed: this.seed,
+            seaLevel: this.seaLevel,
+            profile: { ...this.profile },
+            mask: this.maskSpec,
+            erosion: this.erosion,
+            climate: this.climate,
+            hydrology: this.hydrology,
+            edgeMode: this.edges.mode,
+            edgeHeight: this.edges.height
+        };
+    }
+
+    noise(x, y, field = this.elevationNoise, period = undefined) {
         x = (x && !isNaN(x)) ? x : 0;
         y = (y && !isNaN(y)) ? y : 0;
-        return perlinNoise.perlin2D(x, y);
+        return period
+            ? field.perlin2D(x, y, period[0], period[1])
+            : field.perlin2D(x, y);
+    }
+
+    /**
+     * Finds the period, in whole noise units, of noise that tiles 
+     * across the map at a given frequency.  The frequency is rounded so
+     * that the noise repeats a whole number of times.
+     * @param {number} frequency The frequency, in noise periods per cell
+     * @returns {number[]} The periods across the width and the depth of
+     * the map
+     */
+    tilingPeriod(frequency) {
+        return [
+            Math.max(1, Math.round(this.width * frequency)),
+            Math.max(1, Math.round(this.depth * frequency))
+        ];
+    }
+
+    /**
+     * Samples the elevation noise for a cell, using the generator's 
+     * frequency and fractal profile.
+     * @param {number} x The x-index of the cell
+     * @param {number} z The z-index of the cell
+     * @returns {number} A value in the range -1 to 1
+     */
+    elevationAt(x, z) {
+        if (this.edges.mode === EdgeMode.WRAP) {
+            const period = this.tilingPeriod(this.frequency);
+            return fractalNoise(
+                this.elevationNoise,
+                13 + x * period[0] / this.width,
+                23 + z * period[1] / this.depth,
+                this.profile,
+                period);
+        }
+        return fractalNoise(
+            this.elevationNoise,
+            13 + x * this.frequency,
+            23 + z * this.frequency,
+            this.profile);
+    }
+
+    /**
+     * Samples the moisture noise for a cell.
+     * @param {number} x The x-index of the cell
+     * @param {number} z The z-index of the cell
+     * @returns {number} A value in the range -1 to 1
+     */
+    moistureAt(x, z) {
+        if (this.edges.mode === EdgeMode.WRAP) {
+            const [periodX, periodZ] = this.tilingPeriod(MOISTURE_RES);
+            return this.noise(
+                z * periodZ / this.depth,
+                x * periodX / this.width,
+                this.moistureNoise,
+                [periodZ, periodX]);
+        }
+        return this.noise(
+            z * MOISTURE_RES, x * MOISTURE_RES, this.moistureNoise);
+    }
+
+    /**
+     * Applies the generator's mask, if any, to a noise value.  Where the 
+     * mask is 0, the value is pulled down to the floor of the noise 
+     * range (-1); where it is 1, the value is unchanged.
+     * @param {number} x The x-index of the cell
+     * @param {number} z The z-index of the cell
+     * @param {number} value The noise value, in the range -1 to 1
+     * @returns {number} The masked value, in the range -1 to 1
+     */
+    applyMask(x, z, value) {
+        if (!this.mask) {
+            return value;
+        }
+        return (value + 1) * this.mask(x, z) - 1;
+    }
+
+    /**
+     * Builds the unquantised heightfield:  the masked elevation noise, 
+     * scaled to elevation levels.
+     * @returns {Float64Array} The heights, row by row (x varies fastest)
+     */
+    heightfield() {
+        const heights = new Float64Array(this.area);
+        const scale = Math.floor(this.amplitude / 2);
+        for (let i = 0; i < this.area; i++) {
+            const x = i % this.width;
+            const z = Math.trunc(i / this.width);
+            // The mask is applied before smoothing, so that the 
+            // smoothing still limits each step to one level.
+            heights[i] = scale * this.applyMask(x, z, this.elevationAt(x, z));
+        }
+        return heights;
     }
 
     generate() {
         const timeStart = performance.now();
 
-        // Generate Perlin noise as the basis for the terrain
+        // Generate Perlin noise as the basis for the terrain, and 
+        // weather it while the heights are still continuous.
+        const heights = this.heightfield();
+        if (this.erosion) {
+            erodeHeightfield(heights, this.width, this.depth,
+                { ...this.erosion, verbose: this.verbose },
+                (this.seed ^ EROSION_SEED_SALT) >>> 0, this.edges);
+        }
+
         let cellInfo = Array(this.area);
-        let elevRange = [Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER];
         for (let i = 0; i < this.area; i++) {
             const x = i % this.width;
             const z = Math.trunc(i / this.width);
-            const rawY = this.noise(
-                13 + x / 32,
-                23 + z / 32);
-            let y = Math.trunc(
-                Math.floor(this.amplitude / 2)
-                * rawY);
-
-            // Cap elevation difference versus neighbors.
-            const neighbors = [];
-            // left neighbor
-            if (x > 0) {
-                neighbors.push(cellInfo[i - 1].elevation);
-                // up/left neighbor
-                if (z > 0) {
-                    neighbors.push(cellInfo[i - (this.width + 1)].elevation);
-                }
-            }
-            // up neighbor
-            if (z > 0) {
-                neighbors.push(cellInfo[i - this.width].elevation);
-                // up/right neighbor
-                if (x < this.width - 1) {
-                    neighbors.push(cellInfo[(i - this.width) + 1].elevation);
-                }
-            }
-            if (neighbors.length) {
-                const neighborRange = [
-                    Math.min(...neighbors),
-                    Math.max(...neighbors)
-                ];
-                if (neighborRange[1] - neighborRange[0] > 2) {
-                    // This should never happen, because any cells that 
-                    // are already in cellInfo have already been through 
-                    // this smoothing process.
-                    throw new Error("(TerrainGenerator.generate) The range "
-                        + "around a cell is too great.");
-                }
-                // We know that the highest and lowest neighbors are at most 
-                // two elevation levels apart.  Therefore, the cell we're 
-                // working on can be at most one level below the highest 
-                // neighbor and one level above the lowest.
-                y = y < neighborRange[0] + 1 ? y : neighborRange[0] + 1;
-                y = y > neighborRange[1] - 1 ? y : neighborRange[1] - 1;
-            }
-
-            elevRange[0] = y < elevRange[0] ? y : elevRange[0];
-            elevRange[1] = y > elevRange[1] ? y : elevRange[1];
-
-            let moisture = Math.trunc(
-                6 * (this.noise(z * 0.15, x * 0.15) + 1) / 2
-            );
+            const y = Math.trunc(heights[i]);
+
+            let moisture = Math.trunc(6 * (this.moistureAt(x, z) + 1) / 2);
             moisture = moisture <= 5 ? moisture : 5;
 
             cellInfo[i] = {
@@ -156,21 +354,52 @@ export class TerrainGenerator {
                 "moisture": moisture,
                 "xIndex": x,
                 "zIndex": z,
-                "shape": 0,
-                "facing": 0
+                "shape": CellShape.FLAT,
+                "facing": CellFacing.NONE
             };
         }
         const result = {
             cells: cellInfo,
-            minElev: elevRange[0],
-            maxElev: elevRange[1]
+            minElev: 0,
+            maxElev: 0,
+            width: this.width,
+            depth: this.depth,
+            seaLevel: this.seaLevel,
+            seed: this.seed,
+            edgeMode: this.edges.mode,
+            edgeHeight: this.edges.height,
+            generator: this.parameters()
         };
 
+        // Smooth the terrain so that no cell differs from any of its 
+        // neighbors by more than one level, moving the noise as little 
+        // as possible.  This also sets the elevation range.
+        constrainTerrain(result, this.width);
+
+        // Rivers are cut into the smoothed terrain, which they leave 
+        // obeying the slope rule.
+        if (this.hydrology) {
+            applyHydrology(result, this.width, {
+                ...(this.hydrology === true ? {} : this.hydrology),
+                verbose: this.verbose
+            });
+        }
+
+        // The climate depends on the final shape of the land.
+        if (this.climate) {
+            applyClimate(result, this.width, {
+                ...(this.climate === true ? {} : this.climate),
+                verbose: this.verbose
+            });
+        }
+
         const timeEnd = performance.now();
-        console.log(
-            "(TerrainGenerator.generate) executed in " +
-            `${timeEnd - timeStart} ms.`
-        );
+        if (this.verbose) {
+            console.log(
+                "(TerrainGenerator.generate) executed in " +
+                `${timeEnd - timeStart} ms.`
+            );
+        }
 
         return result;
     }
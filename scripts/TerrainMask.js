@@ -0,0 +1,220 @@
+/*  *****************************************************************
+
+    TerrainMask.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+/**
+ * The kinds of falloff mask that can be applied to generated terrain
+ */
+export const MaskType = Object.freeze({
+    /** No mask; the noise is used as it is. */
+    NONE: "none",
+    /** Land in the middle, falling away to low ground on every edge. */
+    ISLAND: "island",
+    /** Land falling away to low ground along one edge of the map. */
+    COAST: "coast",
+    /** A low, meandering valley running across the map. */
+    RIVER_VALLEY: "river-valley",
+});
+
+/**
+ * The edges of the map.  North is the edge at z = 0, and west is the 
+ * edge at x = 0.
+ */
+export const MapEdge = Object.freeze({
+    NORTH: "north",
+    EAST: "east",
+    SOUTH: "south",
+    WEST: "west",
+});
+
+// The fraction of the map's size over which a mask ramps from low 
+// ground to full height, unless the mask specifies otherwise.
+const DEFAULT_FALLOFF = 0.25;
+
+/**
+ * Describes a built-in falloff mask
+ * @typedef MaskInfo
+ * @property {String} type The kind of mask (see MaskType)
+ * @property {String} [edge] For coast masks, the edge of the map that 
+ * falls away (see MapEdge)
+ * @property {String} [orientation] For river-valley masks, the 
+ * direction in which the valley runs: "north-south" (the default) or 
+ * "east-west"
+ * @property {number} [falloff] The fraction of the map's size (across
+ * the direction of the ramp) over which the mask ramps from low ground 
+ * to full height
+ */
+
+/**
+ * A falloff mask, given as a built-in mask, a function, or an image.
+ * Strings name built-in masks:  "island", "river-valley", or "coast-" 
+ * followed by an edge (e.g., "coast-north").  Functions receive the 
+ * x- and z-indices of a cell and the width and depth of the map, and 
+ * return a value from 0 to 1.  Images are an ImageData-like object ({data, 
+ * width, height}, RGBA) whose red channel is read as the mask, or a 
+ * flat array of values from 0 to 1 with one entry per cell.
+ * @typedef {String|MaskInfo|Function|ImageData|ArrayLike<number>} MaskSpec
+ */
+
+const smoothstep = (t) => {
+    t = Math.max(0, Math.min(1, t));
+    return t * t * (3 - 2 * t);
+};
+
+const parseMaskString = (mask) => {
+    const name = mask.trim().toLowerCase();
+    if (name.startsWith(MaskType.COAST)) {
+        return {
+            type: MaskType.COAST,
+            edge: name.slice(MaskType.COAST.length).replace(/^[-_\s]/, "")
+                || MapEdge.SOUTH
+        };
+    }
+    return { type: name };
+};
+
+const createImageMask = (image, width, depth) => {
+    // ImageData-like objects are sampled (nearest neighbor) so that
+    // images of any size can be used; flat arrays must match the map.
+    if (image.data && image.width && image.height) {
+        return (x, z) => {
+            const u = Math.min(
+                image.width - 1,
+                Math.floor((x + 0.5) / width * image.width));
+            const v = Math.min(
+                image.height - 1,
+                Math.floor((z + 0.5) / depth * image.height));
+            return image.data[(v * image.width + u) * 4] / 255;
+        };
+    }
+    if (image.length !== width * depth) {
+        throw new Error("(createMask) A mask given as an array must have "
+            + "one entry per cell of the map.");
+    }
+    return (x, z) => image[z * width + x];
+};
+
+/**
+ * Creates a mask function for a map of given dimensions
+ * @param {MaskSpec} mask The mask to create
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction; 
+ * defaults to the width
+ * @returns {((x: number, z: number) => number)|null} A function 
+ * returning, for each cell, a value from 0 (low ground) to 1 (the 
+ * noise at full height), or null if no mask is to be applied
+ */
+export const createMask = (mask, width, depth = width) => {
+    if (!mask || mask === MaskType.NONE) {
+        return null;
+    }
+
+    let fn = null;
+    if (typeof mask === "function") {
+        fn = (x, z) => mask(x, z, width, depth);
+    }
+    else if (typeof mask === "object" && !mask.type) {
+        fn = createImageMask(mask, width, depth);
+    }
+    else {
+        const info = typeof mask === "string" ? parseMaskString(mask) : mask;
+        const falloff = Math.max(
+            Number.EPSILON,
+            (info.falloff && !isNaN(info.falloff))
+                ? info.falloff : DEFAULT_FALLOFF);
+        const halfWidth = (width - 1) / 2;
+        const halfDepth = (depth - 1) / 2;
+
+        switch (info.type) {
+            case MaskType.NONE:
+                return null;
+            case MaskType.ISLAND:
+                fn = (x, z) => {
+                    // On a map that is not square, the island is an 
+                    // ellipse.
+                    const r = Math.hypot(
+                        (x - halfWidth) / halfWidth,
+                        (z - halfDepth) / halfDepth);
+                    return smoothstep((1 - r) / falloff);
+                };
+                break;
+            case MaskType.COAST: {
+                // The distance from the edge, as a fraction of the 
+                // map's size in that direction
+                const distances = {
+                    [MapEdge.NORTH]: (x, z) => z / depth,
+                    [MapEdge.EAST]: (x) => (width - 1 - x) / width,
+                    [MapEdge.SOUTH]: (x, z) => (depth - 1 - z) / depth,
+                    [MapEdge.WEST]: (x) => x / width,
+                };
+                const distance = distances[info.edge || MapEdge.SOUTH];
+                if (!distance) {
+                    throw new Error("(createMask) The edge "
+                        + `'${info.edge}' is not one of the values of `
+                        + "MapEdge.");
+                }
+                fn = (x, z) => smoothstep(distance(x, z) / falloff);
+                break;
+            }
+            case MaskType.RIVER_VALLEY: {
+                const eastWest = info.orientation === "east-west";
+                const length = eastWest ? width : depth;
+                const breadth = eastWest ? depth : width;
+                fn = (x, z) => {
+                    const along = eastWest ? x : z;
+                    const across = eastWest ? z : x;
+                    // The valley meanders once across the map.
+                    const center = (breadth - 1) / 2
+                        + Math.sin(along / length * 2 * Math.PI)
+                        * breadth / 8;
+                    return smoothstep(
+                        Math.abs(across - center) / (breadth * falloff));
+                };
+                break;
+            }
+            default:
+                throw new Error(`(createMask) The mask type '${info.type}' `
+                    + "is not one of the values of MaskType.");
+        }
+    }
+
+    return (x, z) => {
+        const value = fn(x, z);
+        return isNaN(value) ? 1 : Math.max(0, Math.min(1, value));
+    };
+};
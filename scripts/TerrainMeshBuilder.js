@@ -39,12 +39,770 @@
 **********************************************************************  */
 
 import * as THREE from "three";
-import { getTerrainZone } from "./TerrainZone.js";
+import { defaultZoneRegistry, TerrainType } from "./TerrainZone.js";
+import { CellShape, classifyCell } from "./CellShape.js";
+import { EdgeMode, neighborIndex, terrainEdges } from "./EdgeMode.js";
+import { classifyWater, hasWater, WaterClass } from "./Water.js";
 
-const CELL_SHAPE_FLAT = 0;
-const CELL_SHAPE_SLOPE = 1;
-const CELL_SHAPE_CORNER_UP = 2;
-const CELL_SHAPE_CORNER_DOWN = 3;
+/**
+ * @typedef {import('./TerrainGenerator.js').CellInfo} CellInfo
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ * @typedef {import('./CellShape.js').CellClassification} CellClassification
+ */
+
+// The offset of each shape's tile in the texture, which is divided 
+// into quarters, one for each of the shapes in img/cell-shapes.png.  
+// The other shapes borrow the tile whose creases come closest to 
+// theirs.  A diagonal, saddle, valley or pit is creased along both 
+// diagonals, where the corner tile shows one, so the other crease goes
+// unshaded; a raised cell is flat, only higher.
+const SHAPE_UV_OFFSETS = Object.freeze({
+    [CellShape.FLAT]: [0, 0],
+    [CellShape.SLOPE]: [0, 0.5],
+    [CellShape.CORNER_UP]: [0.5, 0.5],
+    [CellShape.CORNER_DOWN]: [0.5, 0],
+    [CellShape.DIAGONAL]: [0.5, 0.5],
+    [CellShape.SADDLE]: [0.5, 0.5],
+    [CellShape.VALLEY]: [0.5, 0.5],
+    [CellShape.PIT]: [0.5, 0.5],
+    [CellShape.RAISED]: [0, 0],
+});
+
+// UV coordinates of the corners of a tile ('A'-'D', clockwise from top
+// left), relative to the tile's offset.  Turning a cell clockwise by 
+// one quarter gives each corner the coordinates of the next.
+const CORNER_UVS = [[0, 0.5], [0.5, 0.5], [0.5, 0], [0, 0]];
+const CENTER_UV = [0.25, 0.25];
+
+// In a texture atlas, each terrain type has a block of its own, laid 
+// out like the single texture, with the blocks in rows of this many.
+const DEFAULT_ATLAS_COLUMNS = 4;
+// The terrain type of zones that do not name one
+const DEFAULT_TERRAIN_TYPE = TerrainType.GRASS_MED;
+
+// The four triangles of a cell, as indices into its vertices A-E 
+// (0-4).  Each triangle fans out from the center.
+const CELL_TRIANGLES = [
+    [4, 1, 0],
+    [4, 2, 1],
+    [4, 3, 2],
+    [4, 0, 3],
+];
+
+// Vertices per cell, when every triangle has vertices of its own and 
+// when the cell's five vertices are shared through an index.
+const VERTICES_PER_CELL = 12;
+const INDEXED_VERTICES_PER_CELL = 5;
+const INDICES_PER_CELL = 12;
+
+// The skirt along each edge of the map is a quad for each edge cell:  
+// two triangles of its own, or four vertices shared through the index.
+const VERTICES_PER_SKIRT = 6;
+const INDEXED_VERTICES_PER_SKIRT = 4;
+const INDICES_PER_SKIRT = 6;
+// The corners of a cell ('A'-'D') along each side of the map (north, 
+// east, south, west), in the order in which the skirt runs around it
+const SKIRT_CORNERS = [[0, 1], [1, 2], [2, 3], [3, 0]];
+// The outward normal and the direction of travel of each side
+const SKIRT_NORMALS = [[0, 0, -1], [1, 0, 0], [0, 0, 1], [-1, 0, 0]];
+const SKIRT_TANGENTS = [[1, 0, 0], [0, 0, 1], [-1, 0, 0], [0, 0, -1]];
+// The skirt's triangles, as indices into its quad (top of the first 
+// corner, top of the second, then the bottom of each, in reverse)
+const SKIRT_TRIANGLES = [[0, 1, 2], [0, 2, 3]];
+// The number of levels by which the skirts reach below the lowest 
+// cell, unless a base is given
+const DEFAULT_SKIRT_DEPTH = 2;
+
+// The color of cells for which no terrain zone is registered, chosen to
+// stand out
+const MISSING_ZONE_COLOR = 0xff00ff;
+
+// The cells that share each corner of a cell ('A'-'D'), as offsets 
+// [dx, dz] from the cell
+const CORNER_CELLS = [
+    [[-1, -1], [0, -1], [-1, 0], [0, 0]],
+    [[0, -1], [1, -1], [0, 0], [1, 0]],
+    [[0, 0], [1, 0], [0, 1], [1, 1]],
+    [[-1, 0], [0, 0], [-1, 1], [0, 1]],
+];
+
+// The four sides of a cell, as offsets [dx, dz], clockwise from north
+const SIDE_CELLS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * How cells are colored where terrain zones meet
+ */
+export const ColorMode = Object.freeze({
+    /** Each cell has the flat color of its zone. */
+    HARD: "hard",
+    /**
+     * Each corner blends the colors of the cells that share it, so 
+     * that zones fade into one another.
+     */
+    BLEND: "blend",
+    /**
+     * Cells along the edge of a zone alternate, checkerboard fashion, 
+     * with the color of the zone next door, as in SimCity 2000.
+     */
+    DITHER: "dither",
+});
+
+/**
+ * How the surface of the terrain is shaded
+ */
+export const ShadingMode = Object.freeze({
+    /**
+     * Each triangle has its own normal, for crisp, SimCity 2000-style 
+     * facets.  (In an indexed mesh, whose triangles share vertices, the
+     * normals are averaged within each cell.)
+     */
+    FACETED: "faceted",
+    /**
+     * The normals at each corner are averaged over every triangle that 
+     * meets there, in all of the cells that share it, so that the light
+     * changes smoothly across the terrain.
+     */
+    SMOOTH: "smooth",
+});
+
+// The attributes written by writeCell, with their item sizes.  The 
+// tangent attribute is written only when a normal map is to be used.
+const CELL_ATTRIBUTES = [
+    ["position", 3],
+    ["normal", 3],
+    ["uv", 2],
+    ["color", 3],
+];
+const TANGENT_ATTRIBUTE = ["tangent", 4];
+
+/**
+ * Options for TerrainMeshBuilder.build()
+ * @typedef MeshBuildOptions
+ * @property {boolean} [indexed] If true, each cell's five vertices are 
+ * shared among its four triangles through an index, rather than each 
+ * triangle having vertices of its own.  Cells never share vertices 
+ * with each other, because each has its own UV mapping.  Normals are 
+ * then averaged across the triangles of the cell, which softens the 
+ * creases within it.  Defaults to false.
+ * @property {import('./TerrainZone.js').TerrainZoneRegistry} [zones] 
+ * The terrain zones that color the land, which are spread over the 
+ * registry's elevation bands.  Defaults to the built-in TerrainZones.
+ * @property {String} [shading] How the surface is shaded (see 
+ * ShadingMode):  "faceted" or "smooth".  Defaults to "faceted".
+ * @property {boolean} [tangents] If true, a 'tangent' attribute is 
+ * written, following the turned UV mapping of each cell, so that a 
+ * material can apply a normal map such as img/terrain_norm.png.  
+ * Defaults to false.
+ * @property {String} [colorMode] How cells are colored where zones meet
+ * (see ColorMode):  "hard", "blend" or "dither".  Defaults to "hard".
+ * @property {boolean|SkirtOptions} [skirts] If given, vertical walls 
+ * run down from the edges of the map to a base level, showing the earth
+ * in cross-section.  They follow the surface in the geometry's vertices
+ * and form a second group, for a material of their own (e.g., dirt and
+ * rock strata):  true, or the skirts' options.  Defaults to no skirts.
+ * @property {boolean|AtlasLayout} [atlas] If given, UVs address a 
+ * texture atlas with a block for each terrain type, so that each type 
+ * has its own texture for each shape:  true for the default layout, or 
+ * the layout.  By default, every cell maps to the same texture.
+ * @property {boolean} [verbose] Whether to log the time taken on the
+ * console
+ */
+
+/**
+ * Options for the skirts along the edges of the map
+ * @typedef SkirtOptions
+ * @property {number} [base] The elevation to which the skirts reach 
+ * down.  Defaults to two levels below the lowest cell.
+ */
+
+/**
+ * The layout of a texture atlas.  The atlas is divided into equal 
+ * blocks, one for each terrain type, in rows from the top left; each 
+ * block is laid out like the single texture, with a tile for each 
+ * shape.
+ * @typedef AtlasLayout
+ * @property {number} [columns] The number of blocks in each row of the 
+ * atlas.  Defaults to 4.
+ * @property {String[]} [types] The terrain types of the blocks, in 
+ * order (see TerrainType).  Defaults to TerrainType.asArray(), from 
+ * snow to sand.
+ */
+
+/**
+ * Resolves the atlas option of build() into a complete layout.
+ * @param {boolean|AtlasLayout} atlas The option
+ * @returns {Object|null} The layout, with its 'columns', 'rows' and 
+ * 'types', or null if there is no atlas
+ */
+const resolveAtlas = (atlas) => {
+    if (!atlas) {
+        return null;
+    }
+    const layout = atlas === true ? {} : atlas;
+    const types = layout.types || TerrainType.asArray();
+    const columns = layout.columns || DEFAULT_ATLAS_COLUMNS;
+    if (!Array.isArray(types) || types.length === 0
+        || !Number.isInteger(columns) || columns < 1) {
+        throw new Error("(TerrainMeshBuilder.build) The option 'atlas' "
+            + "must be true or a layout with an array of 'types' and a "
+            + "whole number of 'columns'.");
+    }
+    return {
+        columns: columns,
+        rows: Math.ceil(types.length / columns),
+        types: [...types]
+    };
+};
+
+/**
+ * Determines the terrain zone of a cell.  When the terrain has a sea 
+ * level, cells that meet the water are beach or seabed, and the 
+ * elevation bands of the other zones span only the land above the 
+ * water.  Cells that the hydrology pass has marked as rivers are 
+ * rivers.  The registry supplies the zones for the water, as well.
+ * @param {Terrain} terrain The terrain
+ * @param {CellInfo} cell The cell
+ * @param {number} waterClass The cell's relation to the water (see 
+ * WaterClass)
+ * @param {import('./TerrainZone.js').TerrainZoneRegistry} zones The 
+ * terrain zones
+ * @returns {import('./TerrainZone.js').TerrainZoneInfo|undefined} The 
+ * zone, or undefined if none is registered for the cell
+ */
+const cellZone = (terrain, cell, waterClass, zones) => {
+    if (waterClass == WaterClass.SHORELINE) {
+        return zones.getWaterZone("BEACH");
+    }
+    if (waterClass == WaterClass.WATER) {
+        return zones.getWaterZone("SEABED");
+    }
+    if (cell.river) {
+        return zones.getWaterZone("RIVER");
+    }
+    const landMin = hasWater(terrain)
+        ? Math.max(terrain.minElev, terrain.seaLevel)
+        : terrain.minElev;
+    const elevDelta = (terrain.maxElev - landMin) || 1;
+    return zones.getZone(
+        Math.max(0, Math.min(
+            zones.bands - 1,
+            Math.round(
+                (cell.elevation - landMin) / elevDelta * zones.bands))),
+        Math.max(0, Math.min(zones.moistureLevels - 1, cell.moisture))
+    );
+};
+
+/**
+ * Finds the color of a cell's zone, remembering it for the cells 
+ * around it.
+ * @param {Object} buffers The arrays being written, with 'zones' and 
+ * the 'cellColors' found so far (-1 for those not yet found)
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} i The index of the cell
+ * @returns {number} The color, as 0xrrggbb
+ */
+const zoneColorAt = (buffers, terrain, width, i) => {
+    if (buffers.cellColors[i] < 0) {
+        const waterClass = classifyWater(terrain, width, i);
+        const zone = cellZone(terrain, terrain.cells[i], waterClass,
+            buffers.zones);
+        buffers.cellColors[i] = zone ? zone.color : MISSING_ZONE_COLOR;
+    }
+    return buffers.cellColors[i];
+};
+
+/**
+ * Determines the colors of the vertices of a cell ('A'-'E') under a 
+ * color mode other than ColorMode.HARD.
+ * @param {Object} buffers The arrays being written (see zoneColorAt())
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} i The index of the cell
+ * @returns {number[][]} The colors, as [r, g, b] from 0 to 1
+ */
+const vertexColors = (buffers, terrain, width, i) => {
+    const depth = terrain.cells.length / width;
+    const x = i % width;
+    const z = Math.trunc(i / width);
+    // On a wrapped map, the neighbors across an edge are on the map.
+    const indexOf = ([dx, dz]) =>
+        neighborIndex(buffers.edges, width, depth, x + dx, z + dz);
+    const inMap = (offset) => indexOf(offset) >= 0;
+    const colorAt = (offset) => toRGB(
+        zoneColorAt(buffers, terrain, width, indexOf(offset)));
+    const own = toRGB(zoneColorAt(buffers, terrain, width, i));
+
+    if (buffers.colorMode === ColorMode.DITHER) {
+        // Every other cell along the edge takes on its neighbor's zone.
+        let color = own;
+        if ((x + z) % 2 === 1) {
+            const side = SIDE_CELLS.find((offset) => inMap(offset)
+                && zoneColorAt(buffers, terrain, width, indexOf(offset))
+                    !== buffers.cellColors[i]);
+            color = side ? colorAt(side) : own;
+        }
+        return [color, color, color, color, color];
+    }
+
+    const corners = CORNER_CELLS.map((offsets) => {
+        const shared = offsets.filter(inMap).map(colorAt);
+        return [0, 1, 2].map((c) =>
+            shared.reduce((sum, rgb) => sum + rgb[c], 0) / shared.length);
+    });
+    return [...corners, own];
+};
+
+const toRGB = (color) => {
+    return [
+        ((color & 0xff0000) >>> 0x10) / 255.0,
+        ((color & 0x00ff00) >>> 0x8) / 255.0,
+        ((color & 0x0000ff)) / 255.0
+    ];
+};
+
+/**
+ * Finds the positions of the vertices of a cell:  the four corners 
+ * (named 'A'-'D', clockwise from top left), followed by the center 
+ * ('E'), with heights adjusted for the isometric look.
+ * @param {CellClassification} classification The cell's shape
+ * @param {number} cx The x-position of the center of the cell
+ * @param {number} cz The z-position of the center of the cell
+ * @returns {Object} The positions, as arrays 'vx', 'vy' and 'vz'
+ */
+const cellVertices = (classification, cx, cz) => {
+    const corners = classification.corners;
+    return {
+        vx: [cx - 0.5, cx + 0.5, cx + 0.5, cx - 0.5, cx],
+        vy: [
+            corners[0] / Math.SQRT2,
+            corners[1] / Math.SQRT2,
+            corners[2] / Math.SQRT2,
+            corners[3] / Math.SQRT2,
+            classification.center / Math.SQRT2
+        ],
+        vz: [cz - 0.5, cz - 0.5, cz + 0.5, cz + 0.5, cz]
+    };
+};
+
+/**
+ * Computes the unit normals of the four triangles of a cell.
+ * @param {Object} vertices The positions of the cell's vertices (see 
+ * cellVertices())
+ * @returns {number[][]} The normals, as [x, y, z]
+ */
+const faceNormalsOf = ({ vx, vy, vz }) => {
+    return CELL_TRIANGLES.map(([p0, p1, p2]) => {
+        const ax = vx[p1] - vx[p0];
+        const ay = vy[p1] - vy[p0];
+        const az = vz[p1] - vz[p0];
+        const bx = vx[p2] - vx[p0];
+        const by = vy[p2] - vy[p0];
+        const bz = vz[p2] - vz[p0];
+        const nx = ay * bz - az * by;
+        const ny = az * bx - ax * bz;
+        const nz = ax * by - ay * bx;
+        const l = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        return [nx / l, ny / l, nz / l];
+    });
+};
+
+/**
+ * Sums the normals of the triangles that meet at each corner of the 
+ * map's grid, over the cells of a rectangle.  A corner's sum is 
+ * complete once every cell that shares it has been added.
+ * @param {Float32Array} sums The sums, three for each corner of the 
+ * grid of (width + 1) x (depth + 1) corners
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number[]} rect The rectangle, as [xMin, zMin, xMax, zMax]
+ * @param {import('./EdgeMode.js').EdgeInfo} edges The edge mode
+ */
+const sumCornerNormals = (sums, terrain, width, rect, edges) => {
+    const [xMin, zMin, xMax, zMax] = rect;
+    const depth = terrain.cells.length / width;
+    for (let z = zMin; z <= zMax; z++) {
+        for (let x = xMin; x <= xMax; x++) {
+            const classification = classifyCell(
+                terrain, width, z * width + x, edges);
+            const faceNormals = faceNormalsOf(
+                cellVertices(classification, x, z));
+            CELL_TRIANGLES.forEach((triangle, t) => {
+                // Every triangle includes the center ('E') and two 
+                // corners.
+                for (const vertex of triangle) {
+                    if (vertex === 4) {
+                        continue;
+                    }
+                    const k = cornerIndex(
+                        edges, width, depth, x, z, vertex) * 3;
+                    sums[k] += faceNormals[t][0];
+                    sums[k + 1] += faceNormals[t][1];
+                    sums[k + 2] += faceNormals[t][2];
+                }
+            });
+        }
+    }
+};
+
+// The index, in the grid of the map's corners, of a corner ('A'-'D') 
+// of a cell.  On a wrapped map, the corners along the far edges are 
+// those along the near edges.
+const cornerIndex = (edges, width, depth, x, z, corner) => {
+    let gx = x + (corner === 1 || corner === 2 ? 1 : 0);
+    let gz = z + (corner >= 2 ? 1 : 0);
+    if (edges.mode === EdgeMode.WRAP) {
+        gx %= width;
+        gz %= depth;
+    }
+    return gz * (width + 1) + gx;
+};
+
+/**
+ * Computes the tangent and bitangent of a triangle:  the directions in 
+ * which its u- and v-coordinates increase.
+ * @param {number[]} triangle The indices of the triangle's vertices
+ * @param {Object} vertices The positions of the cell's vertices (see 
+ * cellVertices())
+ * @param {number[]} vu The u-coordinates of the cell's vertices
+ * @param {number[]} vv The v-coordinates of the cell's vertices
+ * @returns {number[][]} The tangent and bitangent, as [x, y, z]
+ */
+const triangleTangents = ([p0, p1, p2], { vx, vy, vz }, vu, vv) => {
+    const e1 = [vx[p1] - vx[p0], vy[p1] - vy[p0], vz[p1] - vz[p0]];
+    const e2 = [vx[p2] - vx[p0], vy[p2] - vy[p0], vz[p2] - vz[p0]];
+    const du1 = vu[p1] - vu[p0];
+    const dv1 = vv[p1] - vv[p0];
+    const du2 = vu[p2] - vu[p0];
+    const dv2 = vv[p2] - vv[p0];
+    const r = 1 / (du1 * dv2 - du2 * dv1);
+    return [
+        [0, 1, 2].map((c) => (e1[c] * dv2 - e2[c] * dv1) * r),
+        [0, 1, 2].map((c) => (e2[c] * du1 - e1[c] * du2) * r)
+    ];
+};
+
+/**
+ * Makes a tangent perpendicular to a normal, and finds the handedness 
+ * of the texture space, as three.js expects of a 'tangent' attribute.
+ * @param {number[]} normal The unit normal
+ * @param {number[]} tangent The tangent
+ * @param {number[]} bitangent The bitangent
+ * @returns {number[]} The tangent, as [x, y, z, w], where w is 1 or -1
+ */
+const orthogonalTangent = (normal, tangent, bitangent) => {
+    const dot = normal[0] * tangent[0] + normal[1] * tangent[1]
+        + normal[2] * tangent[2];
+    const t = [0, 1, 2].map((c) => tangent[c] - normal[c] * dot);
+    const l = Math.sqrt(t[0] * t[0] + t[1] * t[1] + t[2] * t[2]) || 1;
+    const cross = [
+        normal[1] * t[2] - normal[2] * t[1],
+        normal[2] * t[0] - normal[0] * t[2],
+        normal[0] * t[1] - normal[1] * t[0]
+    ];
+    const handedness = cross[0] * bitangent[0] + cross[1] * bitangent[1]
+        + cross[2] * bitangent[2] < 0 ? -1 : 1;
+    return [t[0] / l, t[1] / l, t[2] / l, handedness];
+};
+
+const normalize = (v) => {
+    const l = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    return [v[0] / l, v[1] / l, v[2] / l];
+};
+
+/**
+ * Finds the edge cell under a segment of the skirts, which run 
+ * clockwise around the map from its northwest corner.
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {number} k The index of the segment
+ * @returns {number[]} The x- and z-indices of the cell, and the side of
+ * the map (0-3, clockwise from north)
+ */
+const skirtSegment = (width, depth, k) => {
+    if (k < width) {
+        return [k, 0, 0];
+    }
+    k -= width;
+    if (k < depth) {
+        return [width - 1, k, 1];
+    }
+    k -= depth;
+    if (k < width) {
+        return [width - 1 - k, depth - 1, 2];
+    }
+    return [0, depth - 1 - (k - width), 3];
+};
+
+/**
+ * Writes one segment of the skirts into the geometry's arrays, after 
+ * the vertices (and indices) of the cells.  Its u-coordinates run 
+ * around the map, one unit per cell, and its v-coordinates up from the 
+ * base, one unit per level, so that a repeating texture lines up from 
+ * cell to cell.
+ * @param {Object} buffers The arrays to write (see writeCell()), with 
+ * the 'skirts' and their resolved 'base'
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction
+ * @param {number} k The index of the segment (see skirtSegment())
+ */
+const writeSkirt = (buffers, terrain, width, depth, k) => {
+    const { positions, normals, uvs, colors, indices, tangents } = buffers;
+    const [x, z, side] = skirtSegment(width, depth, k);
+    const classification = classifyCell(
+        terrain, width, z * width + x, buffers.edges);
+    const { vx, vy, vz } = cellVertices(
+        classification, x + buffers.offset[0], z + buffers.offset[1]);
+    const [c0, c1] = SKIRT_CORNERS[side];
+    const base = buffers.skirts.base / Math.SQRT2;
+    const qx = [vx[c0], vx[c1], vx[c1], vx[c0]];
+    const qy = [vy[c0], vy[c1], Math.min(base, vy[c1]), Math.min(base, vy[c0])];
+    const qz = [vz[c0], vz[c1], vz[c1], vz[c0]];
+    const qu = [k, k + 1, k + 1, k];
+    const qv = qy.map((y) => (y - base) * Math.SQRT2);
+    const normal = SKIRT_NORMALS[side];
+    const tangent = orthogonalTangent(
+        normal, SKIRT_TANGENTS[side], [0, 1, 0]);
+
+    const writeVertex = (target, vertex) => {
+        positions[target * 3] = qx[vertex];
+        positions[target * 3 + 1] = qy[vertex];
+        positions[target * 3 + 2] = qz[vertex];
+        normals.set(normal, target * 3);
+        uvs[target * 2] = qu[vertex];
+        uvs[target * 2 + 1] = qv[vertex];
+        colors.fill(1, target * 3, target * 3 + 3);
+        if (tangents) {
+            tangents.set(tangent, target * 4);
+        }
+    };
+
+    const cells = terrain.cells.length;
+    if (buffers.indexed) {
+        const first = cells * INDEXED_VERTICES_PER_CELL
+            + k * INDEXED_VERTICES_PER_SKIRT;
+        for (let vertex = 0; vertex < 4; vertex++) {
+            writeVertex(first + vertex, vertex);
+        }
+        if (indices) {
+            let j = cells * INDICES_PER_CELL + k * INDICES_PER_SKIRT;
+            for (const triangle of SKIRT_TRIANGLES) {
+                for (const vertex of triangle) {
+                    indices[j++] = first + vertex;
+                }
+            }
+        }
+    }
+    else {
+        let target = cells * VERTICES_PER_CELL + k * VERTICES_PER_SKIRT;
+        for (const triangle of SKIRT_TRIANGLES) {
+            for (const vertex of triangle) {
+                writeVertex(target++, vertex);
+            }
+        }
+    }
+};
+
+/**
+ * Resolves the skirts option of build() for a terrain.
+ * @param {boolean|SkirtOptions} skirts The option
+ * @param {Terrain} terrain The terrain
+ * @returns {Object|null} The skirts, with their 'base', or null if 
+ * there are none
+ */
+const resolveSkirts = (skirts, terrain) => {
+    if (!skirts) {
+        return null;
+    }
+    const base = skirts.base;
+    return {
+        base: (base !== undefined && base !== null && !isNaN(base))
+            ? Number(base)
+            : terrain.minElev - DEFAULT_SKIRT_DEPTH
+    };
+};
+
+/**
+ * Writes the vertices of one cell into the geometry's arrays.
+ * @param {Object} buffers The arrays to write:  'positions', 'normals', 
+ * 'uvs' and 'colors', and, optionally, 'indices'; whether the geometry 
+ * is 'indexed'; the 'offset' ([x, z]) by which to translate the 
+ * positions; the terrain 'zones'; the 'atlas' layout, if any; and the 
+ * 'colorMode', with the 'cellColors' of the zones (see zoneColorAt()); 
+ * the 'shading', with the 'cornerNormals' summed by sumCornerNormals() 
+ * for smooth shading; optionally, 'tangents'; and the 'edges' mode of 
+ * the terrain
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} i The index of the cell
+ */
+const writeCell = (buffers, terrain, width, i) => {
+    const { positions, normals, uvs, colors, indices, offset } = buffers;
+    const tangents = buffers.tangents;
+    const indexed = buffers.indexed;
+    const cell = terrain.cells[i];
+
+    // Calculate the x- and z-positions of the center of the cell
+    const z = Math.trunc(i / width);
+    const x = Math.trunc(i % width);
+
+    const classification = classifyCell(terrain, width, i, buffers.edges);
+    cell.shape = classification.shape;
+    cell.facing = classification.facing;
+
+    // 'turns' is the number of clockwise 90-degree turns needed to get 
+    // the cell into the correct orientation, relative to the normal map.
+    const turns = classification.turns;
+
+    cell.water = classifyWater(terrain, width, i, classification);
+    const zone = cellZone(terrain, cell, cell.water, buffers.zones);
+    cell.terrainType = (zone && zone.terrainType) || DEFAULT_TERRAIN_TYPE;
+
+    // In an atlas, the shape's tile is found within the block of the 
+    // cell's terrain type (the first block, if the type has none).
+    const atlas = buffers.atlas;
+    let blockU = 0;
+    let blockV = 0;
+    let blockSize = [1, 1];
+    if (atlas) {
+        const block = Math.max(0, atlas.types.indexOf(cell.terrainType));
+        blockSize = [1 / atlas.columns, 1 / atlas.rows];
+        blockU = (block % atlas.columns) * blockSize[0];
+        // The first row is at the top of the image, where v is 1.
+        blockV = 1 - (Math.trunc(block / atlas.columns) + 1) * blockSize[1];
+    }
+    const shapeOffset = SHAPE_UV_OFFSETS[classification.shape];
+    const uvOffset = [
+        blockU + shapeOffset[0] * blockSize[0],
+        blockV + shapeOffset[1] * blockSize[1]
+    ];
+
+    const vertices = cellVertices(
+        classification, x + offset[0], z + offset[1]);
+    const { vx, vy, vz } = vertices;
+    const vu = Array(5);
+    const vv = Array(5);
+    for (let c = 0; c < 4; c++) {
+        const uv = CORNER_UVS[(c + turns) % 4];
+        vu[c] = uvOffset[0] + uv[0] * blockSize[0];
+        vv[c] = uvOffset[1] + uv[1] * blockSize[1];
+    }
+    vu[4] = uvOffset[0] + CENTER_UV[0] * blockSize[0];
+    vv[4] = uvOffset[1] + CENTER_UV[1] * blockSize[1];
+
+    const rawColor = zone ? zone.color : MISSING_ZONE_COLOR;
+    let vertexRGB;
+    if (buffers.colorMode === ColorMode.HARD) {
+        vertexRGB = Array(5).fill(toRGB(rawColor));
+    }
+    else {
+        buffers.cellColors[i] = rawColor;
+        vertexRGB = vertexColors(buffers, terrain, width, i);
+    }
+
+    // Each cell's corners must be different vertices from the corners
+    // of the neighboring cells, to allow for different UV mappings.  As 
+    // a side effect, we have to compute our own normals.
+    const faceNormals = faceNormalsOf(vertices);
+    const faceTangents = tangents
+        ? CELL_TRIANGLES.map((triangle) =>
+            triangleTangents(triangle, vertices, vu, vv))
+        : null;
+
+    // Sums the normals, or the tangents, of the cell's triangles that 
+    // meet at a vertex.
+    const sumOverTriangles = (vertex, values) => {
+        const sum = [0, 0, 0];
+        CELL_TRIANGLES.forEach((triangle, t) => {
+            if (triangle.includes(vertex)) {
+                sum[0] += values[t][0];
+                sum[1] += values[t][1];
+                sum[2] += values[t][2];
+            }
+        });
+        return sum;
+    };
+
+    // With smooth shading, the normal at a corner is shared with the 
+    // cells around it.
+    const smoothNormal = (vertex) => {
+        if (vertex === 4) {
+            return normalize(sumOverTriangles(vertex, faceNormals));
+        }
+        const k = cornerIndex(buffers.edges, width,
+            terrain.cells.length / width, x, z, vertex) * 3;
+        return normalize([
+            buffers.cornerNormals[k],
+            buffers.cornerNormals[k + 1],
+            buffers.cornerNormals[k + 2]
+        ]);
+    };
+    const smooth = buffers.shading === ShadingMode.SMOOTH;
+
+    const writeVertex = (target, vertex, normal, tangent) => {
+        positions[target * 3] = vx[vertex];
+        positions[target * 3 + 1] = vy[vertex];
+        positions[target * 3 + 2] = vz[vertex];
+        normals[target * 3] = normal[0];
+        normals[target * 3 + 1] = normal[1];
+        normals[target * 3 + 2] = normal[2];
+        uvs[target * 2] = vu[vertex];
+        uvs[target * 2 + 1] = vv[vertex];
+        colors[target * 3] = vertexRGB[vertex][0];
+        colors[target * 3 + 1] = vertexRGB[vertex][1];
+        colors[target * 3 + 2] = vertexRGB[vertex][2];
+        if (tangents) {
+            tangents.set(tangent, target * 4);
+        }
+    };
+
+    if (indexed) {
+        // Average the normals of the triangles that meet at each vertex.
+        const base = i * INDEXED_VERTICES_PER_CELL;
+        for (let vertex = 0; vertex < 5; vertex++) {
+            const normal = smooth
+                ? smoothNormal(vertex)
+                : normalize(sumOverTriangles(vertex, faceNormals));
+            const tangent = faceTangents
+                ? orthogonalTangent(
+                    normal,
+                    sumOverTriangles(vertex,
+                        faceTangents.map(([t]) => t)),
+                    sumOverTriangles(vertex,
+                        faceTangents.map(([, b]) => b)))
+                : null;
+            writeVertex(base + vertex, vertex, normal, tangent);
+        }
+        if (indices) {
+            let k = i * INDICES_PER_CELL;
+            for (const triangle of CELL_TRIANGLES) {
+                for (const vertex of triangle) {
+                    indices[k++] = base + vertex;
+                }
+            }
+        }
+    }
+    else {
+        // Allowing the BufferGeometry to operate in non-indexed mode,
+        // each three consecutive vertices form a triangle.  Separated 
+        // triangles offer some benefits for shading and texture 
+        // mapping, at the cost of some memory.
+        let target = i * VERTICES_PER_CELL;
+        CELL_TRIANGLES.forEach((triangle, t) => {
+            for (const vertex of triangle) {
+                const normal = smooth
+                    ? smoothNormal(vertex)
+                    : faceNormals[t];
+                const tangent = faceTangents
+                    ? orthogonalTangent(
+                        normal, faceTangents[t][0], faceTangents[t][1])
+                    : null;
+                writeVertex(target++, vertex, normal, tangent);
+            }
+        });
+    }
+};
 
 export class TerrainMeshBuilder {
 
@@ -52,7 +810,17 @@ export class TerrainMeshBuilder {
 
     }
 
-    build(width, terrain) {
+    /**
+     * Builds a mesh for a terrain.  The vertices are written straight 
+     * into preallocated typed arrays, so large maps build quickly.
+     * @param {number} width The number of cells in the x-direction.  The
+     * depth is the terrain's 'depth', or, failing that, follows from the 
+     * number of cells.
+     * @param {Terrain} terrain The terrain
+     * @param {MeshBuildOptions} options Options for the mesh
+     * @returns {THREE.BufferGeometry} The geometry of the mesh
+     */
+    build(width, terrain, options = {}) {
 
         const cells = terrain.cells;
         const timeStart = performance.now();
@@ -61,306 +829,78 @@ export class TerrainMeshBuilder {
             throw new Error("(TerrainMeshBuilder.build) The parameter 'width'"
                 + "must be supplied, and it must be a number.");
         }
+        const depth = (terrain.depth && !isNaN(terrain.depth))
+            ? terrain.depth
+            : (cells ? cells.length / width : 0);
         if (!cells
             || !Array.isArray(cells)
-            || cells.length != width * width) {
+            || !Number.isInteger(depth)
+            || cells.length != width * depth) {
             throw new Error("(TerrainMeshBuilder.build) The parameter"
                 + "'cellInfo' must be supplied, and it must be an array whose "
-                + " length is the square of the 'width' parameter.");
+                + " length is the product of the 'width' parameter and the "
+                + "terrain's depth.");
         }
 
-        const vertices = [];
-
-        // Each cell's corners must be different vertices from the corners
-        // of the neighboring cells, to allow for different UV mappings.  As 
-        // a side effect, we'll have to compute our own normals.
-        const computeFaceNormal = (p0, p1, p2) => {
-            const a = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
-            const b = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
-            const s = [
-                a[1] * b[2] - a[2] * b[1],
-                a[2] * b[0] - a[0] * b[2],
-                a[0] * b[1] - a[1] * b[0]
-            ];
-            const l = Math.sqrt(
-                s[0] * s[0]
-                + s[1] * s[1]
-                + s[2] * s[2]);
-            return [s[0] / l, s[1] / l, s[2] / l];
-        };
-
-        const rotateAroundByTurns = (v, turns, vAround) => {
-            const angle = turns * -90 * Math.PI / 180;
-            const cos = Math.cos(angle);
-            const sin = Math.sin(angle);
-            // Translate relative to origin
-            const v_t = [v[0] - vAround[0], v[1] - vAround[1]];
-            // rotate
-            const v_r = [
-                cos * v_t[0] - sin * v_t[1],
-                cos * v_t[1] + sin * v_t[0]
-            ];
-            // Translate back
-            const v_f = [v_r[0] + vAround[0], v_r[1] + vAround[1]];
-            return v_f;
+        const indexed = !!options.indexed;
+        const colorMode = options.colorMode || ColorMode.HARD;
+        if (!Object.values(ColorMode).includes(colorMode)) {
+            throw new Error("(TerrainMeshBuilder.build) The option "
+                + "'colorMode' must be one of "
+                + `${Object.values(ColorMode).join(", ")}.`);
+        }
+        const shading = options.shading || ShadingMode.FACETED;
+        if (!Object.values(ShadingMode).includes(shading)) {
+            throw new Error("(TerrainMeshBuilder.build) The option "
+                + "'shading' must be one of "
+                + `${Object.values(ShadingMode).join(", ")}.`);
+        }
+        const skirts = resolveSkirts(options.skirts, terrain);
+        const segments = skirts ? 2 * (width + depth) : 0;
+        const surfaceCount = cells.length
+            * (indexed ? INDEXED_VERTICES_PER_CELL : VERTICES_PER_CELL);
+        const vertexCount = surfaceCount + segments
+            * (indexed ? INDEXED_VERTICES_PER_SKIRT : VERTICES_PER_SKIRT);
+        const buffers = {
+            positions: new Float32Array(vertexCount * 3),
+            normals: new Float32Array(vertexCount * 3),
+            uvs: new Float32Array(vertexCount * 2),
+            colors: new Float32Array(vertexCount * 3),
+            indices: indexed
+                ? new Uint32Array(cells.length * INDICES_PER_CELL
+                    + segments * INDICES_PER_SKIRT)
+                : null,
+            indexed: indexed,
+            // Center the mesh on the origin.  The cells are centered on 
+            // their indices, so the map spans half a cell either side of
+            // the first and last.
+            offset: [-(width - 1) / 2, -(depth - 1) / 2],
+            zones: options.zones || defaultZoneRegistry,
+            atlas: resolveAtlas(options.atlas),
+            colorMode: colorMode,
+            cellColors: colorMode === ColorMode.HARD
+                ? null
+                : new Int32Array(cells.length).fill(-1),
+            shading: shading,
+            cornerNormals: shading === ShadingMode.SMOOTH
+                ? new Float32Array((width + 1) * (depth + 1) * 3)
+                : null,
+            tangents: options.tangents
+                ? new Float32Array(vertexCount * 4)
+                : null,
+            skirts: skirts,
+            edges: terrainEdges(terrain)
         };
 
-        cells.forEach((cell, i) => {
-
-            // Calculate the x- and z-positions of the top-left corner
-            // of the cell
-            const z = Math.trunc(i / width);
-            const x = Math.trunc(i % width);
-
-            // Get the height of the current cell and its neighbors.  If the
-            // cell is at the edge of the map, extend the current cell's 
-            // height into the undefined area.
-
-            // The cell's height is its lowest height; slopes are determined 
-            // by the neighboring cells.
-            //
-            //     |   |___    In this example, the two cells on the left 
-            //     |  /|       both have height n, and the cell on the right
-            //     | / |       has height n+1.  The cell in the middle becomes
-            //  ___|/  |       a slope by being in between the n-height cell 
-            //   n   n  n+1    and the n+1-height cell.
-
-            // Center vertex
-            let yE = cell.elevation;
-            // Upper left
-            let yA = (x > 0 && z > 0)
-                ? cells[i - width - 1].elevation : yE;
-            // Upper
-            const yTop = (z > 0) ? cells[i - width].elevation : yE;
-            // Upper right
-            let yB = (x < (width - 1) && z > 0)
-                ? cells[i - width + 1].elevation : yE;
-            // Right
-            const yRight = (x < (width - 1)) ? cells[i + 1].elevation : yE;
-            // Bottom right
-            let yC = (x < (width - 1) && z < (width - 1))
-                ? cells[i + width + 1].elevation : yE;
-            // Bottom
-            const yBot = (z < (width - 1)) ? cells[i + width].elevation : yE;
-            // Bottom left
-            let yD = (x > 0 && z < (width - 1))
-                ? cells[i + width - 1].elevation : yE;
-            // Left
-            const yLeft = (x > 0)
-                ? cells[i - 1].elevation : yE;
-
-            // Do we have any higher corners?  (Remember that lower corners 
-            // don't matter here, because they don't determine the shape of 
-            // this cell.)
-            const higherCorners = [yA, yB, yC, yD]
-                .map((cur, curIx) => cur > yE ? curIx : undefined)
-                .filter((cur) => !isNaN(cur));
-            const higherSides = [yLeft, yTop, yRight, yBot]
-                .map((cur, curIx) => cur > yE ? curIx : undefined)
-                .filter((cur) => !isNaN(cur));
-
-            let cellShape = CELL_SHAPE_FLAT;
-
-            // 'cellTurns' is the number of clockwise 90-degree turns
-            // needed to get the cell into the correct orientation, 
-            // relative to the normal map.
-            let cellTurns = 0;
-
-            let uvOffset = [0, 0.5];
-
-            if (higherSides.length == 0) {
-                if (higherCorners.length == 1) {
-                    cellShape = CELL_SHAPE_CORNER_UP;
-                    cellTurns = (higherCorners[0] * -1) % 4;
-                    // Correct values obtained from corner neighbors to 
-                    // correspond to sides.
-                    yA = higherCorners.includes(0) ? yA : yE;
-                    yB = higherCorners.includes(1) ? yB : yE;
-                    yC = higherCorners.includes(2) ? yC : yE;
-                    yD = higherCorners.includes(3) ? yD : yE;
-                    uvOffset = [0.5, 0.5];
-                }
-                else {
-                    cellShape = CELL_SHAPE_FLAT;
-                    // We've determined that the cell should be flat, so 
-                    // we have to remove the influence that a lower corner
-                    // might have had when setting the heights.
-                    yA = yB = yC = yD = yE;
-                    uvOffset = [0, 0];
-                }
-            }
-            else if (higherSides.length == 1) {
-                cellShape = CELL_SHAPE_SLOPE;
-                // Heights obtained from corners have to be replaced with new
-                // heights obtained from the higher side.
-                switch (higherSides[0]) {
-                    case 0:
-                        yA = yD = yLeft;
-                        break;
-                    case 1:
-                        yB = yA = yTop;
-                        break;
-                    case 2:
-                        yC = yB = yRight;
-                        break;
-                    case 3:
-                        yD = yC = yBot;
-                }
-                // cellTurns = (higherSides[0] - 1) % 4;
-                cellTurns = [1, 0, 3, 2][higherSides[0]];
-                // For slope cells, we have to lift E to the halfway point
-                yE += 0.5;
-                uvOffset = [0, 0.5];
-            }
-            else if (higherSides.length == 2) {
-                cellShape = CELL_SHAPE_CORNER_DOWN;
-                // We have to replace the corner heights with the heights from
-                // the higher sides.
-                const highSide = Math.max(yLeft, yTop, yRight, yBot);
-                if (higherSides.includes(0)) {
-                    yD = yA = yE = highSide;
-                }
-                if (higherSides.includes(1)) {
-                    yA = yB = yE = highSide;
-                }
-                if (higherSides.includes(2)) {
-                    yB = yC = yE = highSide;
-                }
-                if (higherSides.includes(3)) {
-                    yD = yC = yE = highSide;
-                }
-                uvOffset = [0.5, 0.0];
-                if (!higherSides.includes(0)) {
-                    if (!higherSides.includes(1)) {
-                        cellTurns = 2;
-                    }
-                    else {
-                        cellTurns = -1;
-                    }
-                }
-                else {
-                    if (!higherSides.includes(1) && !higherSides.includes(2)) {
-                        cellTurns = 1;
-                    }
-                }
-            }
-
-            cell.shape = cellShape;
-
-            // Adjust heights
-            yA /= Math.SQRT2;
-            yB /= Math.SQRT2;
-            yC /= Math.SQRT2;
-            yD /= Math.SQRT2;
-            yE /= Math.SQRT2;
-
-            const rawColor = getTerrainZone(
-                Math.min(
-                    3,
-                    Math.round(
-                        (cell.elevation - terrain.minElev)
-                        / (terrain.maxElev - terrain.minElev) * 4)),
-                cell.moisture
-            ).color;
-            const color = [
-                ((rawColor & 0xff0000) >>> 0x10) / 255.0,
-                ((rawColor & 0x00ff00) >>> 0x8) / 255.0,
-                ((rawColor & 0x0000ff)) / 255.0,
-            ];
-
-            // Create a vertex for each of the four corners of the cell
-            // (named 'A'-'D', clockwise from top left), as well as the 
-            // center of the cell ('E').
-            const vertA = {
-                pos: [x - 0.5, yA, z - 0.5],
-                norm: [0, 0, 0],
-                color: color,
-                uv: rotateAroundByTurns(
-                    [uvOffset[0], uvOffset[1] + 0.5],
-                    cellTurns,
-                    [uvOffset[0] + 0.25, uvOffset[1] + 0.25]
-                )
-            };
-            const vertB = {
-                pos: [x + 0.5, yB, z - 0.5],
-                norm: [0, 0, 0],
-                color: color,
-                uv: rotateAroundByTurns(
-                    [uvOffset[0] + 0.5, uvOffset[1] + 0.5],
-                    cellTurns,
-                    [uvOffset[0] + 0.25, uvOffset[1] + 0.25])
-            };
-            const vertC = {
-                pos: [x + 0.5, yC, z + 0.5],
-                norm: [0, 0, 0],
-                color: color,
-                uv: rotateAroundByTurns(
-                    [uvOffset[0] + 0.5, uvOffset[1]],
-                    cellTurns,
-                    [uvOffset[0] + 0.25, uvOffset[1] + 0.25])
-            };
-            const vertD = {
-                pos: [x - 0.5, yD, z + 0.5],
-                norm: [0, 0, 0],
-                color: color,
-                uv: rotateAroundByTurns(
-                    [uvOffset[0], uvOffset[1]],
-                    cellTurns,
-                    [uvOffset[0] + 0.25, uvOffset[1] + 0.25])
-            };
-            const vertE = {
-                pos: [x, yE, z],
-                norm: [0, 0, 0],
-                color: color,
-                uv: [uvOffset[0] + 0.25, uvOffset[1] + 0.25]
-            };
-
-            // Allowing the BufferGeometry to operate in non-indexed mode,
-            // the three preceding points will form a triangle.  In this 
-            // particular use scenario, non-indexed mode and separated 
-            // triangles will offer some benefits for shading and texture
-            // mapping, at the cost of some memory.
-
-            // Add the vertices in order, creating the four triangles.
-            const fnEBA = computeFaceNormal(vertE.pos, vertB.pos, vertA.pos);
-            vertices.push(...[
-                { ...vertE, norm: fnEBA },
-                { ...vertB, norm: fnEBA },
-                { ...vertA, norm: fnEBA },
-            ]);
-
-            const fnECB = computeFaceNormal(vertE.pos, vertC.pos, vertB.pos);
-            vertices.push(...[
-                { ...vertE, norm: fnECB },
-                { ...vertC, norm: fnECB },
-                { ...vertB, norm: fnECB },
-            ]);
-
-            const fnEDC = computeFaceNormal(vertE.pos, vertD.pos, vertC.pos);
-            vertices.push(...[
-                { ...vertE, norm: fnEDC },
-                { ...vertD, norm: fnEDC },
-                { ...vertC, norm: fnEDC },
-            ]);
-
-            const fnEAD = computeFaceNormal(vertE.pos, vertA.pos, vertD.pos);
-            vertices.push(...[
-                { ...vertE, norm: fnEAD },
-                { ...vertA, norm: fnEAD },
-                { ...vertD, norm: fnEAD },
-            ]);
-
-        }); // end of cells loop
-
-        const positions = [];
-        const normals = [];
-        const uvs = [];
-        const colors = [];
-        for (const vert of vertices) {
-            positions.push(...vert.pos);
-            normals.push(...vert.norm);
-            uvs.push(...vert.uv);
-            colors.push(...vert.color);
+        if (buffers.cornerNormals) {
+            sumCornerNormals(buffers.cornerNormals, terrain, width,
+                [0, 0, width - 1, depth - 1], buffers.edges);
+        }
+        for (let i = 0; i < cells.length; i++) {
+            writeCell(buffers, terrain, width, i);
+        }
+        for (let k = 0; k < segments; k++) {
+            writeSkirt(buffers, terrain, width, depth, k);
         }
 
         const geom = new THREE.BufferGeometry();
@@ -371,33 +911,264 @@ export class TerrainMeshBuilder {
         geom.setAttribute(
             "position",
             new THREE.BufferAttribute(
-                new Float32Array(positions), 
+                buffers.positions, 
                 positionNumComponents));
         geom.setAttribute(
             "normal",
             new THREE.BufferAttribute(
-                new Float32Array(normals), 
+                buffers.normals, 
                 normalNumComponents));
         geom.setAttribute(
             "uv",
             new THREE.BufferAttribute(
-                new Float32Array(uvs), 
+                buffers.uvs, 
                 uvNumComponents));
         geom.setAttribute(
             "color",
             new THREE.BufferAttribute(
-                new Float32Array(colors), 
+                buffers.colors, 
                 colorNumComponents));
+        if (buffers.tangents) {
+            geom.setAttribute(
+                TANGENT_ATTRIBUTE[0],
+                new THREE.BufferAttribute(
+                    buffers.tangents,
+                    TANGENT_ATTRIBUTE[1]));
+        }
+        if (indexed) {
+            geom.setIndex(new THREE.BufferAttribute(buffers.indices, 1));
+        }
+        if (skirts) {
+            // The surface takes the first material, and the skirts the 
+            // second.
+            const surfaceEnd = indexed
+                ? cells.length * INDICES_PER_CELL
+                : surfaceCount;
+            const total = indexed ? buffers.indices.length : vertexCount;
+            geom.addGroup(0, surfaceEnd, 0);
+            geom.addGroup(surfaceEnd, total - surfaceEnd, 1);
+        }
 
-        console.log(
-            "(TerrainGenerator.generate) executed in " +
-            `${performance.now() - timeStart} ms.`
-        );
+        // Remember how the geometry was built, for updateRegion().
+        geom.userData.terrainMesh = {
+            width: width,
+            depth: depth,
+            indexed: indexed,
+            offset: buffers.offset,
+            zones: buffers.zones,
+            atlas: buffers.atlas,
+            colorMode: colorMode,
+            shading: shading,
+            skirts: options.skirts ? { base: options.skirts.base } : null,
+            minElev: terrain.minElev,
+            maxElev: terrain.maxElev
+        };
 
-        geom.translate(-32, 0, -32);
+        if (options.verbose) {
+            console.log(
+                "(TerrainMeshBuilder.build) executed in " +
+                `${performance.now() - timeStart} ms.`
+            );
+        }
 
         return geom;
     }
-}
 
+    /**
+     * Rebuilds the cells of a rectangular region of a mesh made by 
+     * build(), after the terrain in that region has changed, and 
+     * patches the geometry's attributes in place.  Because each cell's 
+     * shape depends on its neighbors, the cells bordering the region 
+     * are rebuilt as well.  If the terrain's elevation range has 
+     * changed, which alters the colors of every cell, the whole mesh 
+     * is rebuilt in place.
+     * @param {THREE.BufferGeometry} geometry A geometry returned by 
+     * build() for the same terrain
+     * @param {Terrain} terrain The terrain, after the change
+     * @param {number} x0 The x-index of one corner of the region
+     * @param {number} z0 The z-index of one corner of the region
+     * @param {number} x1 The x-index of the opposite corner (inclusive)
+     * @param {number} z1 The z-index of the opposite corner (inclusive)
+     * @returns {THREE.BufferGeometry} The same geometry
+     */
+    updateRegion(geometry, terrain, x0, z0, x1, z1) {
+        const built = geometry && geometry.userData.terrainMesh;
+        if (!built) {
+            throw new Error("(TerrainMeshBuilder.updateRegion) The "
+                + "parameter 'geometry' must be a geometry returned by "
+                + "TerrainMeshBuilder.build().");
+        }
+        const { width, depth } = built;
+        if (!terrain
+            || !Array.isArray(terrain.cells)
+            || terrain.cells.length != width * depth) {
+            throw new Error("(TerrainMeshBuilder.updateRegion) The "
+                + "parameter 'terrain' must have as many cells as the "
+                + "terrain from which the geometry was built.");
+        }
+
+        // Order the corners and add the one-cell border, clamped to the
+        // map.  With smooth shading, the cells beyond the border share 
+        // corners with it, so their normals change, too.  Likewise, 
+        // when colors blend or dither, a border cell whose water class 
+        // or zone changed alters the colors of the cells beyond it.  On
+        // a wrapped map, a border that would cross an edge reaches 
+        // around to the far side, so the region spans the whole axis 
+        // instead.
+        const smooth = built.shading === ShadingMode.SMOOTH;
+        const border = 1 + (smooth ? 1 : 0)
+            + (built.colorMode !== ColorMode.HARD ? 1 : 0);
+        const edges = terrainEdges(terrain);
+        const reach = edges.mode === EdgeMode.WRAP
+            ? border + (smooth ? 1 : 0)
+            : 0;
+        const span = (v0, v1, size) => {
+            const lo = Math.min(v0, v1);
+            const hi = Math.max(v0, v1);
+            if (reach && (lo - reach < 0 || hi + reach >= size)) {
+                return [0, size - 1];
+            }
+            return [Math.max(0, lo - border), Math.min(size - 1, hi + border)];
+        };
+        let [xMin, xMax] = span(x0, x1, width);
+        let [zMin, zMax] = span(z0, z1, depth);
+        if (built.minElev !== terrain.minElev
+            || built.maxElev !== terrain.maxElev) {
+            xMin = zMin = 0;
+            xMax = width - 1;
+            zMax = depth - 1;
+            built.minElev = terrain.minElev;
+            built.maxElev = terrain.maxElev;
+        }
+
+        const buffers = {
+            positions: geometry.getAttribute("position").array,
+            normals: geometry.getAttribute("normal").array,
+            uvs: geometry.getAttribute("uv").array,
+            colors: geometry.getAttribute("color").array,
+            // The index never changes, so it is left alone.
+            indices: null,
+            indexed: built.indexed,
+            offset: built.offset,
+            zones: built.zones,
+            atlas: built.atlas,
+            colorMode: built.colorMode,
+            cellColors: built.colorMode === ColorMode.HARD
+                ? null
+                : new Int32Array(width * depth).fill(-1),
+            shading: built.shading,
+            cornerNormals: smooth
+                ? new Float32Array((width + 1) * (depth + 1) * 3)
+                : null,
+            tangents: geometry.getAttribute(TANGENT_ATTRIBUTE[0])
+                ? geometry.getAttribute(TANGENT_ATTRIBUTE[0]).array
+                : null,
+            skirts: resolveSkirts(built.skirts, terrain),
+            edges: edges
+        };
+        if (smooth) {
+            // The corners of the rebuilt cells are complete once the 
+            // cells around them are added.
+            sumCornerNormals(buffers.cornerNormals, terrain, width, [
+                Math.max(0, xMin - 1), Math.max(0, zMin - 1),
+                Math.min(width - 1, xMax + 1), Math.min(depth - 1, zMax + 1)
+            ], edges);
+        }
+        for (let z = zMin; z <= zMax; z++) {
+            for (let x = xMin; x <= xMax; x++) {
+                writeCell(buffers, terrain, width, z * width + x);
+            }
+        }
+
+        // The skirts under the edge cells of the region follow them.
+        let skirtsChanged = false;
+        const segments = buffers.skirts ? 2 * (width + depth) : 0;
+        for (let k = 0; k < segments; k++) {
+            const [x, z] = skirtSegment(width, depth, k);
+            if (x >= xMin && x <= xMax && z >= zMin && z <= zMax) {
+                writeSkirt(buffers, terrain, width, depth, k);
+                skirtsChanged = true;
+            }
+        }
+
+        // Attributes have a single update range, so it spans the rows 
+        // of the region, from its first cell to its last (or, if the 
+        // skirts changed, to the end, where they are).
+        const verticesPerCell = built.indexed
+            ? INDEXED_VERTICES_PER_CELL : VERTICES_PER_CELL;
+        const firstCell = zMin * width + xMin;
+        const lastCell = zMax * width + xMax;
+        const attributes = buffers.tangents
+            ? [...CELL_ATTRIBUTES, TANGENT_ATTRIBUTE]
+            : CELL_ATTRIBUTES;
+        for (const [name, itemSize] of attributes) {
+            const attribute = geometry.getAttribute(name);
+            attribute.updateRange.offset =
+                firstCell * verticesPerCell * itemSize;
+            attribute.updateRange.count = skirtsChanged
+                ? attribute.array.length - attribute.updateRange.offset
+                : (lastCell - firstCell + 1) * verticesPerCell * itemSize;
+            attribute.needsUpdate = true;
+        }
+        if (geometry.boundingBox) {
+            geometry.computeBoundingBox();
+        }
+        if (geometry.boundingSphere) {
+            geometry.computeBoundingSphere();
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Builds a mesh for the surface of the water:  a flat square at sea 
+     * level over every cell whose elevation is below it, including the
+     * partly submerged cells of the shoreline, where the land shows 
+     * through.  The water is a mesh of its own, so that it can have its 
+     * own material and transparency.  (updateRegion() does not touch 
+     * it; rebuilding it is cheap.)
+     * @param {number} width The number of cells in the x-direction
+     * @param {Terrain} terrain The terrain, with its 'seaLevel'
+     * @returns {THREE.BufferGeometry} The geometry of the water, which 
+     * is empty if the terrain has no sea level or no cell is under it
+     */
+    buildWater(width, terrain) {
+        const cells = terrain.cells;
+        const depth = (terrain.depth && !isNaN(terrain.depth))
+            ? terrain.depth
+            : cells.length / width;
+        const submerged = hasWater(terrain)
+            ? cells.filter((cell) => cell.elevation < terrain.seaLevel)
+            : [];
+
+        const positions = new Float32Array(submerged.length * 6 * 3);
+        const normals = new Float32Array(submerged.length * 6 * 3);
+        const uvs = new Float32Array(submerged.length * 6 * 2);
+        const y = terrain.seaLevel / Math.SQRT2;
+        // Two triangles per cell, wound to face upward like the terrain
+        const quad = [[0, 0], [1, 1], [1, 0], [0, 0], [0, 1], [1, 1]];
+        let v = 0;
+        for (const cell of submerged) {
+            for (const [dx, dz] of quad) {
+                const x = cell.xIndex - 0.5 + dx;
+                const z = cell.zIndex - 0.5 + dz;
+                positions[v * 3] = x - (width - 1) / 2;
+                positions[v * 3 + 1] = y;
+                positions[v * 3 + 2] = z - (depth - 1) / 2;
+                normals[v * 3 + 1] = 1;
+                uvs[v * 2] = (x + 0.5) / width;
+                uvs[v * 2 + 1] = 1 - (z + 0.5) / depth;
+                v++;
+            }
+        }
 
+        const geom = new THREE.BufferGeometry();
+        geom.setAttribute(
+            "position", new THREE.BufferAttribute(positions, 3));
+        geom.setAttribute(
+            "normal", new THREE.BufferAttribute(normals, 3));
+        geom.setAttribute(
+            "uv", new THREE.BufferAttribute(uvs, 2));
+        return geom;
+    }
+}
@@ -0,0 +1,232 @@
+/*  *****************************************************************
+
+    TerrainValidator.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { EdgeMode, neighborIndex, terrainEdges } from "./EdgeMode.js";
+
+/**
+ * The kinds of problem that validateTerrain can report
+ */
+export const TerrainProblemType = Object.freeze({
+    /** 'cells' is missing, or its length is not width * depth. */
+    ARRAY_LENGTH: "array-length",
+    /** A cell is missing, or its elevation is not a whole number. */
+    INVALID_CELL: "invalid-cell",
+    /** A cell differs from a neighbor by more than one level. */
+    ELEVATION_STEP: "elevation-step",
+    /** A cell's moisture is not a whole number from 0 to 5. */
+    MOISTURE_RANGE: "moisture-range",
+    /** 'minElev' or 'maxElev' does not match the cells. */
+    ELEVATION_RANGE: "elevation-range",
+    /** A cell's 'xIndex' or 'zIndex' does not match its position. */
+    CELL_INDEX: "cell-index",
+});
+
+const MOISTURE_MIN = 0;
+const MOISTURE_MAX = 5;
+
+/**
+ * Describes a problem found in a terrain
+ * @typedef TerrainProblem
+ * @property {String} type The kind of problem (see TerrainProblemType)
+ * @property {String} message A description of the problem, suitable for
+ * showing to users
+ * @property {number} [index] The index of the cell concerned
+ * @property {number} [neighborIndex] For elevation steps, the index of 
+ * the neighboring cell
+ * @property {String} [property] The name of the property concerned
+ * @property {*} [actual] The value found
+ * @property {*} [expected] The value, or range of values, expected
+ */
+
+// Offsets of the neighbors that follow a cell in scan order, as 
+// [dx, dz]; checking only these covers every pair of neighbors once.
+const FORWARD_NEIGHBORS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Checks a terrain for problems that would prevent the mesh builder 
+ * from producing correct geometry.  Elevation steps are checked across
+ * the edges of the map as its edge mode calls for.
+ * @param {import('./TerrainGenerator.js').Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} depth The number of cells in the z-direction; 
+ * defaults to the terrain's 'depth', or, failing that, to the width
+ * @returns {TerrainProblem[]} The problems found, or an empty array if 
+ * the terrain is valid
+ */
+export const validateTerrain = (terrain, width, depth = undefined) => {
+    const problems = [];
+    const cells = terrain ? terrain.cells : undefined;
+    depth = (depth && !isNaN(depth))
+        ? depth
+        : ((terrain && terrain.depth) || width);
+
+    if (!cells
+        || !Array.isArray(cells)
+        || !width
+        || isNaN(width)
+        || cells.length !== width * depth) {
+        problems.push({
+            type: TerrainProblemType.ARRAY_LENGTH,
+            message: "The terrain must have an array of cells whose length "
+                + "is the product of the width and depth "
+                + `(${width} × ${depth} = ${width * depth}), but `
+                + (Array.isArray(cells)
+                    ? `it has ${cells.length}.`
+                    : "it has none."),
+            property: "cells",
+            actual: Array.isArray(cells) ? cells.length : undefined,
+            expected: width * depth,
+        });
+        // Without the expected layout, neighbors cannot be located.
+        return problems;
+    }
+
+    const edges = terrainEdges(terrain);
+    let minElev = Number.MAX_SAFE_INTEGER;
+    let maxElev = Number.MIN_SAFE_INTEGER;
+    const validElevation = (cell) => cell
+        && typeof cell === "object"
+        && Number.isInteger(cell.elevation);
+
+    cells.forEach((cell, i) => {
+        const x = i % width;
+        const z = Math.trunc(i / width);
+
+        if (!validElevation(cell)) {
+            problems.push({
+                type: TerrainProblemType.INVALID_CELL,
+                message: `The cell at (${x}, ${z}) is missing, or its `
+                    + "elevation is not a whole number.",
+                index: i,
+                property: "elevation",
+                actual: cell ? cell.elevation : cell,
+            });
+            return;
+        }
+
+        minElev = cell.elevation < minElev ? cell.elevation : minElev;
+        maxElev = cell.elevation > maxElev ? cell.elevation : maxElev;
+
+        if (!Number.isInteger(cell.moisture)
+            || cell.moisture < MOISTURE_MIN
+            || cell.moisture > MOISTURE_MAX) {
+            problems.push({
+                type: TerrainProblemType.MOISTURE_RANGE,
+                message: `The cell at (${x}, ${z}) has a moisture level of `
+                    + `${cell.moisture}; moisture must be a whole number `
+                    + `from ${MOISTURE_MIN} to ${MOISTURE_MAX}.`,
+                index: i,
+                property: "moisture",
+                actual: cell.moisture,
+                expected: [MOISTURE_MIN, MOISTURE_MAX],
+            });
+        }
+
+        for (const [property, expected] of [["xIndex", x], ["zIndex", z]]) {
+            if (cell[property] !== expected) {
+                problems.push({
+                    type: TerrainProblemType.CELL_INDEX,
+                    message: `The cell at (${x}, ${z}) has an '${property}' `
+                        + `of ${cell[property]}, but its position in the `
+                        + `array calls for ${expected}.`,
+                    index: i,
+                    property: property,
+                    actual: cell[property],
+                    expected: expected,
+                });
+            }
+        }
+
+        if (edges.mode === EdgeMode.FIXED
+            && (x === 0 || z === 0 || x === width - 1 || z === depth - 1)
+            && Math.abs(cell.elevation - edges.height) > 1) {
+            problems.push({
+                type: TerrainProblemType.ELEVATION_STEP,
+                message: `The cell at (${x}, ${z}) has an elevation of `
+                    + `${cell.elevation}, more than one level from the `
+                    + `edge height of ${edges.height}.`,
+                index: i,
+                property: "elevation",
+                actual: cell.elevation,
+                expected: [edges.height - 1, edges.height + 1],
+            });
+        }
+
+        for (const [dx, dz] of FORWARD_NEIGHBORS) {
+            const j = neighborIndex(edges, width, depth, x + dx, z + dz);
+            if (j < 0 || !validElevation(cells[j])) {
+                continue;
+            }
+            const step = Math.abs(cell.elevation - cells[j].elevation);
+            if (step > 1) {
+                problems.push({
+                    type: TerrainProblemType.ELEVATION_STEP,
+                    message: `The cells at (${x}, ${z}) and `
+                        + `(${j % width}, ${Math.trunc(j / width)}) `
+                        + `differ in elevation by ${step} levels; `
+                        + "neighboring cells may differ by at most one.",
+                    index: i,
+                    neighborIndex: j,
+                    property: "elevation",
+                    actual: step,
+                    expected: 1,
+                });
+            }
+        }
+    });
+
+    if (minElev <= maxElev) {
+        for (const [property, expected] of
+            [["minElev", minElev], ["maxElev", maxElev]]) {
+            if (terrain[property] !== expected) {
+                problems.push({
+                    type: TerrainProblemType.ELEVATION_RANGE,
+                    message: `The terrain's '${property}' is `
+                        + `${terrain[property]}, but the cells call for `
+                        + `${expected}.`,
+                    property: property,
+                    actual: terrain[property],
+                    expected: expected,
+                });
+            }
+        }
+    }
+
+    return problems;
+};
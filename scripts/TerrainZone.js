@@ -38,6 +38,33 @@
 
 **********************************************************************  */
 
+/**
+ * The kinds of ground that have textures of their own, from lowland 
+ * sand to mountain snow.  Each terrain zone is drawn as one of them.
+ */
+export const TerrainType = Object.freeze({
+    SAND: "sand",
+    GRASS_LOW: "grass_low",
+    GRASS_MED: "grass_med",
+    GRASS_HIGH: "grass_high",
+    ROCK_LOW: "rock_low",
+    ROCK_MED: "rock_med",
+    ROCK_HIGH: "rock_high",
+    SNOW: "snow",
+    asArray: () => {
+        return [
+            TerrainType.SNOW,
+            TerrainType.ROCK_HIGH,
+            TerrainType.ROCK_MED,
+            TerrainType.ROCK_LOW,
+            TerrainType.GRASS_HIGH,
+            TerrainType.GRASS_MED,
+            TerrainType.GRASS_LOW,
+            TerrainType.SAND,
+        ];
+    }
+});
+
 /**
  * Describes a terrain zone
  * @typedef TerrainZoneInfo
@@ -45,7 +72,13 @@
  * @property {number} moistureMin The minimum moisture level of the zone
  * @property {number} moistureMax The maximum moisture level of the zone
  * @property {number} elevation The elevation at which the zone occurs
+ * @property {number} [elevationMin] In place of 'elevation', the lowest 
+ * elevation band at which the zone occurs
+ * @property {number} [elevationMax] In place of 'elevation', the 
+ * highest elevation band at which the zone occurs
  * @property {number} color The default color for displaying the zone
+ * @property {String} [terrainType] The kind of ground that the zone is 
+ * drawn as, which selects its texture (see TerrainType)
  */
 
 export const TerrainZones = Object.freeze({
@@ -59,6 +92,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 5,
         elevation: 3,
         color: 0xf8f8f8,
+        terrainType: TerrainType.SNOW,
     },
     /**
      * Tundra
@@ -70,6 +104,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 2,
         elevation: 3,
         color: 0xddddbb,
+        terrainType: TerrainType.ROCK_HIGH,
     },
     /**
      * Bare
@@ -81,6 +116,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 1,
         elevation: 3,
         color: 0xbbbbbb,
+        terrainType: TerrainType.ROCK_HIGH,
     },
     /**
      * Scorched
@@ -92,6 +128,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 0,
         elevation: 3,
         color: 0x999999,
+        terrainType: TerrainType.ROCK_HIGH,
     },
     /**
      * Taiga
@@ -103,6 +140,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 5,
         elevation: 2,
         color: 0xccd4bb,
+        terrainType: TerrainType.GRASS_HIGH,
     },
     /**
      * Shrubland
@@ -114,6 +152,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 3,
         elevation: 2,
         color: 0xc4ccbb,
+        terrainType: TerrainType.GRASS_HIGH,
     },
     /**
      * Temperate desert
@@ -125,6 +164,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 1,
         elevation: 2,
         color: 0xe4e8ca,
+        terrainType: TerrainType.ROCK_MED,
     },
     /**
      * Temperate rainforest
@@ -136,6 +176,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 5,
         elevation: 1,
         color: 0xa4c4a8,
+        terrainType: TerrainType.GRASS_MED,
     },
     /**
      * Temperate Deciduous Forest
@@ -147,6 +188,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 4,
         elevation: 1,
         color: 0xb4c9a9,
+        terrainType: TerrainType.GRASS_MED,
     },
     /**
      * Grassland
@@ -158,6 +200,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 2,
         elevation: 1,
         color: 0xc4d4aa,
+        terrainType: TerrainType.GRASS_MED,
     },
     /**
      * Temperate desert (low)
@@ -169,6 +212,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 0,
         elevation: 1,
         color: 0xe4e8ca,
+        terrainType: TerrainType.ROCK_LOW,
     },
     /**
      * Tropical rainforest
@@ -180,6 +224,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 5,
         elevation: 0,
         color: 0x9cbba9,
+        terrainType: TerrainType.GRASS_LOW,
     },
     /**
      * Tropical seasonal forest
@@ -191,6 +236,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 3,
         elevation: 0,
         color: 0xa9cca4,
+        terrainType: TerrainType.GRASS_LOW,
     },
     /**
      * Grassland (low)
@@ -202,6 +248,7 @@ export const TerrainZones = Object.freeze({
         moistureMax: 1,
         elevation: 0,
         color: 0xc4d4aa,
+        terrainType: TerrainType.GRASS_LOW,
     },
     /**
      * Subtropical desert
@@ -213,43 +260,405 @@ export const TerrainZones = Object.freeze({
         moistureMax: 0,
         elevation: 0,
         color: 0xe9ddc7,
+        terrainType: TerrainType.SAND,
     },
 });
 
-const TerrainType = Object.freeze({
-    SAND: Symbol("sand"),
-    GRASS_LOW: Symbol("grass_low"),
-    GRASS_MED: Symbol("grass_med"),
-    GRASS_HIGH: Symbol("grass_high"),
-    ROCK_LOW: Symbol("rock_low"),
-    ROCK_MED: Symbol("rock_med"),
-    ROCK_HIGH: Symbol("rock_high"),
-    SNOW: Symbol("snow"),
-    asArray: () => {
-        return [
-            TerrainType.SNOW,
-            TerrainType.ROCK_HIGH,
-            TerrainType.ROCK_MED,
-            TerrainType.ROCK_LOW,
-            TerrainType.GRASS_HIGH,
-            TerrainType.GRASS_MED,
-            TerrainType.GRASS_LOW,
-            TerrainType.SAND,
-        ];
-    }
+/**
+ * Zones for cells that meet the water, which take the place of the 
+ * elevation-based zones when a terrain has a sea level or rivers.  
+ * Their moisture and elevation do not apply.  These are the defaults;
+ * a TerrainZoneRegistry may replace any of them.
+ */
+export const WaterZones = Object.freeze({
+    /**
+     * Beach, where the waterline crosses a cell
+     * @type TerrainZoneInfo
+     */
+    BEACH: {
+        description: "Beach",
+        color: 0xeee3b6,
+        terrainType: TerrainType.SAND,
+    },
+    /**
+     * Seabed, under water
+     * @type TerrainZoneInfo
+     */
+    SEABED: {
+        description: "Seabed",
+        color: 0x8d9a8a,
+        terrainType: TerrainType.SAND,
+    },
+    /**
+     * River, where the hydrology pass has found one
+     * @type TerrainZoneInfo
+     */
+    RIVER: {
+        description: "River",
+        color: 0x7fa6c4,
+        terrainType: TerrainType.SAND,
+    },
 });
 
-// Build an array of terrain zones indexed by elevation
-// and moisture.
-const terrainByElevAndMoisture = Array(4).fill(Array(6));
 
-for(let key in TerrainZones) {
-    const tz = TerrainZones[key];
-    for(let i = tz.moistureMin; i <= tz.moistureMax; i++) {
-        terrainByElevAndMoisture[tz.elevation][i] = tz;
+/**
+ * The kinds of problems found in a set of terrain zones
+ */
+export const ZoneProblemType = Object.freeze({
+    /** No zone covers an elevation band and moisture level. */
+    GAP: "gap",
+    /** More than one zone covers an elevation band and moisture level. */
+    OVERLAP: "overlap",
+});
+
+/**
+ * Describes a problem with a set of terrain zones
+ * @typedef ZoneProblem
+ * @property {String} type The kind of problem (see ZoneProblemType)
+ * @property {String} message A description of the problem
+ * @property {number} elevation The elevation band at which it occurs
+ * @property {number} moisture The moisture level at which it occurs
+ * @property {String[]} zones The keys of the zones involved, if any
+ */
+
+/**
+ * A definition of terrain zones, e.g. parsed from JSON.  Since JSON has
+ * no hexadecimal numbers, colors may also be given as strings such as 
+ * "#c4d4aa".
+ * @typedef ZoneDefinition
+ * @property {number} [bands] The number of elevation bands.  Defaults 
+ * to enough bands for the highest zone.
+ * @property {number} [moistureLevels] The number of moisture levels.  
+ * Defaults to enough levels for the wettest zone.
+ * @property {Object<String, TerrainZoneInfo>} zones The zones, by key
+ * @property {Object<String, TerrainZoneInfo>} [water] Replacements for
+ * any of the WaterZones, by key ("BEACH", "SEABED" or "RIVER"), each 
+ * with a color and, optionally, a terrain type
+ */
+
+const parseColor = (color) => {
+    if (typeof color === "string") {
+        const hex = color.trim().replace(/^(#|0x)/i, "");
+        return /^[0-9a-f]{6}$/i.test(hex) ? parseInt(hex, 16) : NaN;
+    }
+    return color;
+};
+
+// Checks the color and terrain type of a zone, whose color is parsed.
+const checkAppearance = (caller, key, zone) => {
+    if (!Number.isInteger(zone.color)
+        || zone.color < 0 || zone.color > 0xffffff) {
+        throw new Error(`(${caller}) The zone '${key}' must have a `
+            + "color, as 0xrrggbb or \"#rrggbb\".");
+    }
+    if (zone.terrainType !== undefined
+        && !TerrainType.asArray().includes(zone.terrainType)) {
+        throw new Error(`(${caller}) The zone '${key}' has an unknown `
+            + "terrain type; it must be one of "
+            + `${TerrainType.asArray().join(", ")}.`);
+    }
+};
+
+/**
+ * A registry of terrain zones, which finds the zone for any elevation 
+ * band and moisture level.  Zones can be registered one at a time or 
+ * loaded from a definition, such as a JSON file, and any number of 
+ * elevation bands and moisture levels is supported.  Where zones 
+ * overlap, the zone registered first takes precedence.
+ */
+export class TerrainZoneRegistry {
+
+    /**
+     * Creates a TerrainZoneRegistry
+     * @param {ZoneDefinition} definition The zones to load, if any
+     */
+    constructor(definition = undefined) {
+        this.zones = new Map();
+        this.waterZones = new Map(Object.entries(WaterZones));
+        this.fixedBands = undefined;
+        this.fixedMoistureLevels = undefined;
+        this.lookup = null;
+        if (definition) {
+            this.load(definition);
+        }
+    }
+
+    /**
+     * Creates a registry from a JSON definition of its zones.  Problems 
+     * with the zones are reported on the console.
+     * @param {String|ZoneDefinition} json The definition, as JSON text 
+     * or as the object parsed from it
+     * @returns {TerrainZoneRegistry} The registry
+     */
+    static fromJSON(json) {
+        const registry = new TerrainZoneRegistry();
+        const problems = registry.load(
+            typeof json === "string" ? JSON.parse(json) : json);
+        problems.forEach((problem) => console.warn(
+            "(TerrainZoneRegistry.fromJSON) " + problem.message));
+        return registry;
+    }
+
+    /**
+     * The number of elevation bands
+     * @type {number}
+     */
+    get bands() {
+        return this.fixedBands !== undefined
+            ? this.fixedBands
+            : Math.max(0, ...[...this.zones.values()]
+                .map((zone) => zone.elevationMax + 1));
+    }
+
+    /**
+     * The number of moisture levels
+     * @type {number}
+     */
+    get moistureLevels() {
+        return this.fixedMoistureLevels !== undefined
+            ? this.fixedMoistureLevels
+            : Math.max(0, ...[...this.zones.values()]
+                .map((zone) => zone.moistureMax + 1));
+    }
+
+    /**
+     * Loads a definition of zones, adding them to those already 
+     * registered.
+     * @param {ZoneDefinition} definition The definition
+     * @returns {ZoneProblem[]} The gaps and overlaps in the registry's 
+     * zones, once the definition is loaded
+     */
+    load(definition) {
+        if (!definition || typeof definition !== "object"
+            || !definition.zones || typeof definition.zones !== "object") {
+            throw new Error("(TerrainZoneRegistry.load) The parameter "
+                + "'definition' must be an object with a 'zones' object.");
+        }
+        for (const [name, count] of [
+            ["bands", definition.bands],
+            ["moistureLevels", definition.moistureLevels]]) {
+            if (count !== undefined
+                && !(Number.isInteger(count) && count > 0)) {
+                throw new Error("(TerrainZoneRegistry.load) The property "
+                    + `'${name}' must be a positive integer.`);
+            }
+        }
+        if (definition.bands !== undefined) {
+            this.fixedBands = definition.bands;
+        }
+        if (definition.moistureLevels !== undefined) {
+            this.fixedMoistureLevels = definition.moistureLevels;
+        }
+        if (definition.water !== undefined
+            && (!definition.water || typeof definition.water !== "object")) {
+            throw new Error("(TerrainZoneRegistry.load) The property "
+                + "'water' must be an object.");
+        }
+        for (const [key, zone] of Object.entries(definition.zones)) {
+            this.register(key, zone);
+        }
+        for (const [key, zone] of Object.entries(definition.water || {})) {
+            this.setWaterZone(key, zone);
+        }
+        return this.findProblems();
+    }
+
+    /**
+     * Registers a zone.
+     * @param {String} key The key of the zone, e.g. "MARSH"
+     * @param {TerrainZoneInfo} zone The zone, which gives either its 
+     * 'elevation' or its 'elevationMin' and 'elevationMax'
+     * @returns {ZoneProblem[]} The overlaps between the zone and those 
+     * already registered
+     */
+    register(key, zone) {
+        if (!key || this.zones.has(key)) {
+            throw new Error("(TerrainZoneRegistry.register) The parameter "
+                + "'key' must be supplied, and it must not already be "
+                + "registered.");
+        }
+        const elevationMin = zone.elevationMin !== undefined
+            ? zone.elevationMin : zone.elevation;
+        const elevationMax = zone.elevationMax !== undefined
+            ? zone.elevationMax : zone.elevation;
+        const entry = {
+            ...zone,
+            elevationMin: elevationMin,
+            elevationMax: elevationMax,
+            color: parseColor(zone.color)
+        };
+        const ranges = [
+            [entry.elevationMin, entry.elevationMax],
+            [entry.moistureMin, entry.moistureMax]];
+        if (ranges.some(([min, max]) => !Number.isInteger(min)
+            || !Number.isInteger(max) || min < 0 || max < min)) {
+            throw new Error("(TerrainZoneRegistry.register) The zone "
+                + `'${key}' must have whole, non-negative elevation and `
+                + "moisture ranges.");
+        }
+        checkAppearance("TerrainZoneRegistry.register", key, entry);
+
+        // Overlaps are reported for each place where the new zone meets 
+        // zones already registered.
+        const overlaps = [];
+        for (let e = entry.elevationMin; e <= entry.elevationMax; e++) {
+            for (let m = entry.moistureMin; m <= entry.moistureMax; m++) {
+                const keys = this.zonesAt(e, m);
+                if (keys.length > 0) {
+                    overlaps.push(overlapProblem(e, m, [...keys, key]));
+                }
+            }
+        }
+        this.zones.set(key, Object.freeze(entry));
+        this.lookup = null;
+        return overlaps;
+    }
+
+    /**
+     * Replaces one of the zones for cells that meet the water.
+     * @param {String} key The key of the zone in WaterZones:  "BEACH", 
+     * "SEABED" or "RIVER"
+     * @param {TerrainZoneInfo} zone The zone; its elevation and 
+     * moisture do not apply
+     */
+    setWaterZone(key, zone) {
+        if (!Object.keys(WaterZones).includes(key)) {
+            throw new Error("(TerrainZoneRegistry.setWaterZone) The "
+                + "parameter 'key' must be one of "
+                + `${Object.keys(WaterZones).join(", ")}.`);
+        }
+        const entry = { ...zone, color: parseColor(zone && zone.color) };
+        checkAppearance("TerrainZoneRegistry.setWaterZone", key, entry);
+        this.waterZones.set(key, Object.freeze(entry));
+    }
+
+    /**
+     * Returns one of the zones for cells that meet the water:  the 
+     * registry's own, or, if it has none, the default in WaterZones.
+     * @param {String} key The key of the zone in WaterZones
+     * @returns {TerrainZoneInfo} The zone
+     */
+    getWaterZone(key) {
+        return this.waterZones.get(key);
+    }
+
+    /**
+     * Lists the keys of the zones that cover an elevation band and 
+     * moisture level, in the order in which they were registered.
+     * @param {number} elevation The elevation band
+     * @param {number} moisture The moisture level
+     * @returns {String[]} The keys
+     */
+    zonesAt(elevation, moisture) {
+        const keys = [];
+        for (const [key, zone] of this.zones) {
+            if (elevation >= zone.elevationMin
+                && elevation <= zone.elevationMax
+                && moisture >= zone.moistureMin
+                && moisture <= zone.moistureMax) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Finds the gaps and overlaps among the registered zones, over every
+     * elevation band and moisture level.
+     * @returns {ZoneProblem[]} The problems, which is empty if every band
+     * and level has exactly one zone
+     */
+    findProblems() {
+        const problems = [];
+        for (let e = 0; e < this.bands; e++) {
+            for (let m = 0; m < this.moistureLevels; m++) {
+                const keys = this.zonesAt(e, m);
+                if (keys.length === 0) {
+                    problems.push({
+                        type: ZoneProblemType.GAP,
+                        message: `No zone covers elevation band ${e} `
+                            + `and moisture level ${m}.`,
+                        elevation: e,
+                        moisture: m,
+                        zones: []
+                    });
+                }
+                else if (keys.length > 1) {
+                    problems.push(overlapProblem(e, m, keys));
+                }
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Returns the terrain zone for an elevation band and moisture level.
+     * @param {number} elevation The elevation band, from 0 to one less 
+     * than the number of bands
+     * @param {number} moisture The moisture level, from 0 to one less 
+     * than the number of levels
+     * @returns {TerrainZoneInfo|undefined} The zone, or undefined if 
+     * no zone covers the band and level
+     */
+    getZone(elevation, moisture) {
+        if (!this.lookup) {
+            // Each band gets an array of its own.
+            this.lookup = Array.from(
+                { length: this.bands },
+                (_, e) => Array.from(
+                    { length: this.moistureLevels },
+                    (_, m) => this.zones.get(this.zonesAt(e, m)[0])));
+        }
+        const row = this.lookup[elevation];
+        return row ? row[moisture] : undefined;
+    }
+
+    /**
+     * Returns the registry's definition, which can be saved as JSON and 
+     * loaded with fromJSON().
+     * @returns {ZoneDefinition} The definition
+     */
+    toJSON() {
+        const zones = {};
+        for (const [key, zone] of this.zones) {
+            zones[key] = { ...zone };
+        }
+        const water = {};
+        for (const [key, zone] of this.waterZones) {
+            water[key] = { ...zone };
+        }
+        return {
+            bands: this.bands,
+            moistureLevels: this.moistureLevels,
+            zones: zones,
+            water: water
+        };
     }
 }
 
+const overlapProblem = (elevation, moisture, keys) => {
+    return {
+        type: ZoneProblemType.OVERLAP,
+        message: `Zones ${keys.join(", ")} overlap at elevation band `
+            + `${elevation} and moisture level ${moisture}; `
+            + `${keys[0]} takes precedence.`,
+        elevation: elevation,
+        moisture: moisture,
+        zones: keys
+    };
+};
+
+/**
+ * The registry of the built-in TerrainZones, which getTerrainZone() 
+ * uses
+ * @type {TerrainZoneRegistry}
+ */
+export const defaultZoneRegistry = new TerrainZoneRegistry({
+    bands: 4,
+    moistureLevels: 6,
+    zones: TerrainZones
+});
+
 /**
  * Returns the terrain zone appropriate to a given elevation 
  * and moisture level.
@@ -259,5 +668,5 @@ for(let key in TerrainZones) {
  * range 0-5.
  */
 export const getTerrainZone = (elevation, moisture) => {
-    return terrainByElevAndMoisture[elevation][moisture];
-};
\ No newline at end of file
+    return defaultZoneRegistry.getZone(elevation, moisture);
+};
@@ -0,0 +1,100 @@
+/*  *****************************************************************
+
+    Water.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+import { classifyCell } from "./CellShape.js";
+
+/**
+ * @typedef {import('./TerrainGenerator.js').Terrain} Terrain
+ * @typedef {import('./CellShape.js').CellClassification} CellClassification
+ */
+
+/**
+ * How a cell relates to the water.  A cell is under water when its 
+ * elevation (its lowest point) is below the terrain's sea level.  The
+ * sea level need not be a whole number:  with a sea level of -1.5, the 
+ * waterline runs halfway up the slopes between levels -2 and -1.
+ */
+export const WaterClass = Object.freeze({
+    /** The cell's lowest point is at or above sea level. */
+    LAND: 0,
+    /**
+     * The cell is under water, but the waterline crosses or touches its 
+     * upper corners.
+     */
+    SHORELINE: 1,
+    /** The cell is entirely below sea level. */
+    WATER: 2,
+});
+
+/**
+ * Determines whether a terrain has water, i.e. whether it has a sea 
+ * level.
+ * @param {Terrain} terrain The terrain
+ * @returns {boolean} True if the terrain has a sea level
+ */
+export const hasWater = (terrain) => {
+    return terrain.seaLevel !== undefined
+        && terrain.seaLevel !== null
+        && !isNaN(terrain.seaLevel);
+};
+
+/**
+ * Classifies a cell as land, shoreline or water.
+ * @param {Terrain} terrain The terrain
+ * @param {number} width The number of cells in the x-direction
+ * @param {number} i The index of the cell
+ * @param {CellClassification} classification The cell's shape, if it 
+ * has already been classified
+ * @returns {number} The class of the cell (see WaterClass)
+ */
+export const classifyWater = (
+    terrain,
+    width,
+    i,
+    classification = undefined) => {
+
+    if (!hasWater(terrain) || terrain.cells[i].elevation >= terrain.seaLevel) {
+        return WaterClass.LAND;
+    }
+    const corners = (classification || classifyCell(terrain, width, i))
+        .corners;
+    return Math.max(...corners) >= terrain.seaLevel
+        ? WaterClass.SHORELINE
+        : WaterClass.WATER;
+};
@@ -44,6 +44,7 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 
 import { TerrainGenerator } from "./TerrainGenerator.js";
 import { TerrainMeshBuilder } from "./TerrainMeshBuilder.js";
+import { validateTerrain } from "./TerrainValidator.js";
 
 /**
  * @typedef {import('./TerrainGenerator.js').CellInfo} CellInfo
@@ -51,11 +52,27 @@ import { TerrainMeshBuilder } from "./TerrainMeshBuilder.js";
  */
 
 const WIDTH = 64;
+// The elevation of the water's surface; generated elevations are 
+// centered on zero.  Halfway between two levels, the waterline runs 
+// halfway up the slopes of the shore.
+const SEA_LEVEL = -1.5;
+const WATER_COLOR = 0x3f76a8;
+const WATER_OPACITY = 0.75;
+// The earth in the cross-section along the edges of the map
+const SKIRT_COLOR = 0x7a5a3c;
+// The wettest moisture level, drawn as white in the moisture preview, 
+// as importHeightmap() expects
+const MAX_MOISTURE = 5;
 // GitHub Pages doesn't have CORS headers, so the texture is 
 // not available via XHR.
 const TEXTURE_URL = import.meta.url.search("github") >= 0
     ? "https://i.postimg.cc/FsnkbpwV/terrain-pix-dif.png"
     : "./../img/terrain_pix_dif.png";
+// There is no such copy of the normal map, so it is used only when the 
+// images are served alongside the scripts.
+const NORMAL_MAP_URL = import.meta.url.search("github") >= 0
+    ? null
+    : "./../img/terrain_norm.png";
 const RENDER_CANVAS_ID = "render-canvas";
 const ELEV_MAP_ID = "elev-map";
 const MOISTURE_MAP_ID = "moisture-map";
@@ -66,9 +83,14 @@ export class App {
 
     /**
      * Creates an App
-     * @param {number} width The width (also height) of the map to be generated.
+     * @param {number} width The width (x-direction) of the map to be 
+     * generated.
+     * @param {number|string} seed The seed for the terrain; if omitted, a 
+     * seed is chosen at random.
+     * @param {number} depth The depth (z-direction) of the map to be 
+     * generated; if omitted, the map is square.
      */
-    constructor(width = WIDTH) {
+    constructor(width = WIDTH, seed = undefined, depth = width) {
         if (width) {
             console.assert(
                 !isNaN(width),
@@ -76,8 +98,20 @@ export class App {
                 + "(Alternatively, the parameter can be omitted, and the "
                 + `default value of ${WIDTH} will be used.)`);
         }
+        if (depth) {
+            console.assert(
+                !isNaN(depth),
+                "If the 'depth' parameter is specified, it must be a number.");
+        }
         this.width = width;
-        this.tg = new TerrainGenerator();
+        this.depth = depth;
+        this.tg = new TerrainGenerator(width, undefined, undefined, {
+            seed,
+            depth,
+            seaLevel: SEA_LEVEL,
+            hydrology: true,
+            verbose: true
+        });
         this.terrain = null;
         this.scene = null;
         this.camera = null;
@@ -103,12 +137,14 @@ export class App {
     }
 
     generateTerrain() {
-        this.terrain = this.tg.generate(this.width);
+        this.terrain = this.tg.generate();
+        console.log(`(App.generateTerrain) terrain seed: ${this.terrain.seed}`);
     }
 
     generateMapPreviews() {
-        const elevBuffer = new Uint8ClampedArray(WIDTH * WIDTH * 4);
-        const moistureBuffer = new Uint8ClampedArray(WIDTH * WIDTH * 4);
+        const area = this.width * this.depth;
+        const elevBuffer = new Uint8ClampedArray(area * 4);
+        const moistureBuffer = new Uint8ClampedArray(area * 4);
         const elevDelta = this.terrain.maxElev - this.terrain.minElev;
 
         // Build the preview maps into buffers
@@ -123,20 +159,20 @@ export class App {
             elevBuffer[j + 2] = elevNorm;
             elevBuffer[j + 3] = 255;
 
-            const m = cell.moisture;
-            moistureBuffer[j] = 255 * (m / 4);
-            moistureBuffer[j + 1] = 255 * (m / 4);
-            moistureBuffer[j + 2] = 255 * (m / 4);
+            const m = Math.round(255 * (cell.moisture / MAX_MOISTURE));
+            moistureBuffer[j] = m;
+            moistureBuffer[j + 1] = m;
+            moistureBuffer[j + 2] = m;
             moistureBuffer[j + 3] = 255;
         });
 
         // Create an off-screen canvas to convert the elevation map 
         // into a PNG.
         const canvas = document.createElement("canvas");
-        canvas.width = WIDTH;
-        canvas.height = WIDTH;
+        canvas.width = this.width;
+        canvas.height = this.depth;
         const ctx = canvas.getContext("2d");
-        let idata = ctx.createImageData(WIDTH, WIDTH);
+        let idata = ctx.createImageData(this.width, this.depth);
 
         idata.data.set(elevBuffer);
         ctx.putImageData(idata, 0, 0);
@@ -161,7 +197,7 @@ export class App {
             0.1, // near clipping distance
             250 // far clipping distance
         );
-        this.camera.position.set(-32, 27.71, -32);
+        this.camera.position.set(-this.width / 2, 27.71, -this.depth / 2);
         // this.camera.lookAt(32, 0, 32);
         this.scene.add(this.camera);
     }
@@ -180,7 +216,17 @@ export class App {
     }
 
     initTerrainMesh() {
-        const geom = this.tmb.build(this.width, this.terrain);
+        // Problems don't stop the build, but they explain odd geometry.
+        for (const problem of validateTerrain(this.terrain, this.width)) {
+            console.warn(`(App.initTerrainMesh) ${problem.message}`);
+        }
+
+        // The normal map needs tangents that follow each cell's turns.
+        const geom = this.tmb.build(this.width, this.terrain, {
+            tangents: !!NORMAL_MAP_URL,
+            skirts: true,
+            verbose: true
+        });
 
         // Create the material
         const loader = new THREE.TextureLoader();
@@ -189,10 +235,27 @@ export class App {
             map: terrainDiff,
             vertexColors: THREE.VertexColors
         });
+        if (NORMAL_MAP_URL) {
+            terrainMat.normalMap = loader.load(NORMAL_MAP_URL);
+        }
+
+        const skirtMat = new THREE.MeshPhongMaterial({
+            color: SKIRT_COLOR
+        });
 
         // Bind the mesh to the scene
-        const terrainMesh = new THREE.Mesh(geom, terrainMat);
+        const terrainMesh = new THREE.Mesh(geom, [terrainMat, skirtMat]);
         this.scene.add(terrainMesh);
+
+        // The water is a separate, translucent mesh.
+        const waterGeom = this.tmb.buildWater(this.width, this.terrain);
+        const waterMat = new THREE.MeshPhongMaterial({
+            color: WATER_COLOR,
+            transparent: true,
+            opacity: WATER_OPACITY,
+            shininess: 80
+        });
+        this.scene.add(new THREE.Mesh(waterGeom, waterMat));
     }
 
     initLights() {
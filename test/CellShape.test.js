@@ -0,0 +1,109 @@
+// Tests that classifyCell() recognizes each shape that the one-level
+// rule allows, faces it the right way, and follows the edge mode at the
+// edges of the map.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CellFacing, CellShape, classifyCell } from "../scripts/CellShape.js";
+
+// A terrain of the elevations given, row by row
+const terrainOf = (rows, edgeMode = undefined, edgeHeight = undefined) => {
+    const width = rows[0].length;
+    return {
+        cells: rows.flat().map((elevation, i) => ({
+            elevation: elevation,
+            xIndex: i % width,
+            zIndex: Math.trunc(i / width)
+        })),
+        edgeMode: edgeMode,
+        edgeHeight: edgeHeight
+    };
+};
+
+// Classifies the middle cell of a 3 x 3 block.
+const classifyMiddle = (rows) => classifyCell(terrainOf(rows), 3, 4);
+
+// Turns a 3 x 3 block a quarter clockwise, so that north becomes east.
+const turn = (rows) => rows.map((_, z) => rows.map((row) => row[z])
+    .reverse());
+
+const SHAPES = [
+    ["flat", [[0, 0, 0], [0, 0, 0], [0, 0, 0]],
+        CellShape.FLAT, CellFacing.NONE, 0],
+    ["slope", [[1, 1, 1], [0, 0, 0], [0, 0, 0]],
+        CellShape.SLOPE, CellFacing.SOUTH, 0.5],
+    ["corner up", [[1, 0, 0], [0, 0, 0], [0, 0, 0]],
+        CellShape.CORNER_UP, CellFacing.SOUTH, 0],
+    ["corner down", [[1, 1, 1], [1, 0, 0], [1, 0, 0]],
+        CellShape.CORNER_DOWN, CellFacing.SOUTH, 1],
+    ["diagonal", [[1, 0, 0], [0, 0, 0], [0, 0, 1]],
+        CellShape.DIAGONAL, CellFacing.SOUTH, 0.5],
+    ["saddle", [[0, 1, 0], [0, 0, 0], [0, 1, 0]],
+        CellShape.SADDLE, CellFacing.SOUTH, 0],
+    ["valley", [[1, 1, 1], [1, 0, 1], [0, 0, 0]],
+        CellShape.VALLEY, CellFacing.SOUTH, 0],
+    ["pit", [[1, 1, 1], [1, 0, 1], [1, 1, 1]],
+        CellShape.PIT, CellFacing.NONE, 0],
+    ["pit between diagonals", [[1, 0, 1], [0, 0, 0], [1, 0, 1]],
+        CellShape.PIT, CellFacing.NONE, 0],
+    ["raised", [[1, 1, 1], [0, 0, 0], [1, 0, 1]],
+        CellShape.RAISED, CellFacing.NONE, 1],
+];
+
+test("each shape is recognized, with its center height", () => {
+    for (const [name, rows, shape, facing, center] of SHAPES) {
+        const result = classifyMiddle(rows);
+        assert.equal(result.shape, shape, name);
+        assert.equal(result.facing, facing, name);
+        assert.equal(result.center, center, name);
+    }
+});
+
+test("the corners take the height of the highest cell at each", () => {
+    assert.deepEqual(classifyMiddle(SHAPES[3][1]).corners, [1, 1, 0, 1]);
+    assert.deepEqual(
+        classifyMiddle([[2, 2, 2], [2, 1, 1], [1, 1, 1]]).corners,
+        [2, 2, 1, 2]);
+});
+
+test("turning the terrain turns each shape with it", () => {
+    for (const [name, rows, shape, facing] of SHAPES) {
+        let turned = rows;
+        for (let quarter = 1; quarter < 4; quarter++) {
+            turned = turn(turned);
+            const result = classifyMiddle(turned);
+            assert.equal(result.shape, shape, `${name}, ${quarter}`);
+            // Saddles and diagonals look the same from opposite 
+            // sides, so each has only two facings.
+            let expected = facing === CellFacing.NONE
+                ? CellFacing.NONE
+                : (facing + quarter) % 4;
+            if (shape === CellShape.SADDLE) {
+                expected = quarter % 2 ? CellFacing.EAST : CellFacing.SOUTH;
+            }
+            if (shape === CellShape.DIAGONAL) {
+                expected = quarter % 2 ? CellFacing.WEST : CellFacing.SOUTH;
+            }
+            assert.equal(result.facing, expected, `${name}, ${quarter}`);
+        }
+    }
+});
+
+test("the edges of the map follow the edge mode", () => {
+    const rows = [[0, 0, 0], [0, 0, 0], [0, 0, 1]];
+    // By default, a missing neighbor is as high as the cell.
+    assert.equal(classifyCell(terrainOf(rows), 3, 0).shape,
+        CellShape.FLAT);
+    // Wrapped, the far corner is the cell's neighbor.
+    const wrapped = classifyCell(terrainOf(rows, "wrap"), 3, 0);
+    assert.equal(wrapped.shape, CellShape.CORNER_UP);
+    assert.deepEqual(wrapped.corners, [1, 0, 0, 0]);
+    // At a fixed height, the plain beyond the edges surrounds it.
+    const fixed = classifyCell(terrainOf(rows, "fixed", 1), 3, 0);
+    assert.equal(fixed.shape, CellShape.CORNER_DOWN);
+    assert.deepEqual(fixed.corners, [1, 1, 0, 1]);
+    // The edge mode can also be given explicitly.
+    assert.equal(classifyCell(terrainOf(rows), 3, 0,
+        { mode: "wrap", height: 0 }).shape, CellShape.CORNER_UP);
+});
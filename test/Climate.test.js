@@ -0,0 +1,60 @@
+// Tests that applyClimate() carries the wind across the edges of a
+// wrapped map, so that its moisture tiles, and leaves other maps as the
+// wind leaves them.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyClimate } from "../scripts/Climate.js";
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+
+const WIDTH = 20;
+const DEPTH = 14;
+
+const generate = (edgeMode, seaLevel) => new TerrainGenerator(
+    WIDTH, 10, 0.1, {
+        seed: 21,
+        depth: DEPTH,
+        seaLevel: seaLevel,
+        profile: "rolling hills",
+        edgeMode: edgeMode
+    }).generate();
+
+// Moves a terrain's cells by (dx, dz), wrapping around its edges.
+const roll = (terrain, dx, dz) => {
+    const cells = Array(terrain.cells.length);
+    terrain.cells.forEach((cell, i) => {
+        const x = (i % WIDTH + dx) % WIDTH;
+        const z = (Math.trunc(i / WIDTH) + dz) % DEPTH;
+        cells[z * WIDTH + x] = { ...cell, xIndex: x, zIndex: z };
+    });
+    return { ...terrain, cells: cells };
+};
+
+const moistureOf = (terrain) => terrain.cells.map((cell) => cell.moisture);
+
+for (const windDirection of ["west", "north", "east", "south"]) {
+    test(`a wrapped map's climate has no seam (wind from the ${
+        windDirection})`, () => {
+        const terrain = generate("wrap", -0.5);
+        const rolled = roll(terrain, 7, 5);
+        applyClimate(terrain, WIDTH, { windDirection });
+        applyClimate(rolled, WIDTH, { windDirection });
+        assert.deepEqual(moistureOf(rolled), moistureOf(roll(terrain, 7, 5)));
+    });
+}
+
+test("a wrapped map with no sea dries out", () => {
+    const terrain = applyClimate(generate("wrap"), WIDTH);
+    assert.ok(terrain.cells.every((cell) => cell.moisture === 0));
+});
+
+test("on other maps, the windward edge is the wettest", () => {
+    for (const edgeMode of ["clamp", "fixed"]) {
+        const terrain = applyClimate(generate(edgeMode), WIDTH);
+        const column = (x) => terrain.cells
+            .filter((cell) => cell.xIndex === x)
+            .reduce((sum, cell) => sum + cell.moisture, 0);
+        assert.ok(column(0) > column(WIDTH - 1), edgeMode);
+    }
+});
@@ -0,0 +1,98 @@
+// Tests that erosion treats the edges of the map as its edge mode says:
+// on a wrapped map, it is the same wherever the map is cut.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    applyHydraulicErosion,
+    applyThermalErosion,
+    erodeHeightfield
+} from "../scripts/Erosion.js";
+
+const WIDTH = 12;
+const DEPTH = 9;
+const WRAP = { mode: "wrap", height: 0 };
+
+// A rough heightfield, the same on every run
+const roughField = () => Float64Array.from(
+    { length: WIDTH * DEPTH },
+    (_, i) => 4 * Math.sin(i * 1.7) + 3 * Math.cos(i * 0.31));
+
+// Moves a heightfield by (dx, dz), wrapping around its edges.
+const roll = (heights, dx, dz) => {
+    const rolled = new Float64Array(heights.length);
+    heights.forEach((h, i) => {
+        const x = (i % WIDTH + dx) % WIDTH;
+        const z = (Math.trunc(i / WIDTH) + dz) % DEPTH;
+        rolled[z * WIDTH + x] = h;
+    });
+    return rolled;
+};
+
+const assertClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((a, i) => assert.ok(Math.abs(a - expected[i]) < 1e-9,
+        `cell ${i} is ${a}, not ${expected[i]}`));
+};
+
+const THERMAL = { thermalIterations: 5, talus: 0.5 };
+
+test("thermal erosion on a wrapped map has no seam", () => {
+    const heights = roughField();
+    const rolled = roll(heights, 5, 4);
+    applyThermalErosion(heights, WIDTH, DEPTH, THERMAL, WRAP);
+    applyThermalErosion(rolled, WIDTH, DEPTH, THERMAL, WRAP);
+    assertClose(rolled, roll(heights, 5, 4));
+});
+
+test("only on a wrapped map does material slide across the edges", () => {
+    // A peak in the corner slides onto the far corner, too.
+    const peak = () => {
+        const heights = new Float64Array(WIDTH * DEPTH);
+        heights[0] = 10;
+        return heights;
+    };
+    const far = WIDTH * DEPTH - 1;
+    const clamped = peak();
+    applyThermalErosion(clamped, WIDTH, DEPTH, THERMAL);
+    assert.equal(clamped[far], 0);
+    const wrapped = peak();
+    applyThermalErosion(wrapped, WIDTH, DEPTH, THERMAL, WRAP);
+    assert.ok(wrapped[far] > 0);
+    assert.ok(Math.abs(wrapped.reduce((a, b) => a + b) - 10) < 1e-9,
+        "no material is lost");
+});
+
+test("droplets on a wrapped map run across its edges", () => {
+    // A valley along the seam, which only a wrapped map can fill from 
+    // both sides, and evenly
+    const valley = (x) => Math.min(x, WIDTH - x);
+    const field = () => Float64Array.from({ length: WIDTH * DEPTH },
+        (_, i) => valley(i % WIDTH));
+    const filled = (heights, x) => {
+        let sum = 0;
+        for (let z = 0; z < DEPTH; z++) {
+            sum += heights[z * WIDTH + x] - valley(x);
+        }
+        return sum;
+    };
+    const options = { droplets: 300 };
+    const clamped = field();
+    applyHydraulicErosion(clamped, WIDTH, DEPTH, options, 3);
+    const wrapped = field();
+    applyHydraulicErosion(wrapped, WIDTH, DEPTH, options, 3, WRAP);
+    assert.ok(wrapped.every(Number.isFinite));
+    assert.ok(filled(wrapped, 0) > filled(clamped, 0) + 10);
+    assert.ok(Math.abs(filled(wrapped, 1) - filled(wrapped, WIDTH - 1)) < 1);
+});
+
+test("erodeHeightfield passes the edge mode on", () => {
+    const options = { ...THERMAL, droplets: 200 };
+    const direct = roughField();
+    applyHydraulicErosion(direct, WIDTH, DEPTH, options, 8, WRAP);
+    applyThermalErosion(direct, WIDTH, DEPTH, options, WRAP);
+    const combined = roughField();
+    erodeHeightfield(combined, WIDTH, DEPTH, options, 8, WRAP);
+    assert.deepEqual(combined, direct);
+});
@@ -0,0 +1,193 @@
+// Tests that computeDrainage() drains every cell to an outlet, and that
+// applyHydrology() cuts rivers that run downhill without breaking the
+// one-level rule, in every edge mode.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    applyHydrology,
+    computeDrainage,
+    FlowDirection
+} from "../scripts/Hydrology.js";
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+import { satisfiesSlopeRule } from "../scripts/SlopeSolver.js";
+import { neighborIndex, terrainEdges } from "../scripts/EdgeMode.js";
+
+const WIDTH = 24;
+const SEA_LEVEL = -1.5;
+
+// Offsets of the neighbors, as [dx, dz], indexed by FlowDirection
+const OFFSETS = [
+    [0, -1], [1, -1], [1, 0], [1, 1],
+    [0, 1], [-1, 1], [-1, 0], [-1, -1],
+];
+
+const terrainOf = (rows, options = {}) => ({
+    cells: rows.flat().map((elevation, i) => ({
+        elevation: elevation,
+        moisture: 2,
+        xIndex: i % rows[0].length,
+        zIndex: Math.trunc(i / rows[0].length)
+    })),
+    minElev: Math.min(...rows.flat()),
+    maxElev: Math.max(...rows.flat()),
+    width: rows[0].length,
+    depth: rows.length,
+    ...options
+});
+
+const generate = (edgeMode, options = {}) =>
+    new TerrainGenerator(WIDTH, 12, 0.1, {
+        seed: 7,
+        seaLevel: SEA_LEVEL,
+        profile: "mountains",
+        edgeMode: edgeMode,
+        edgeHeight: 0,
+        ...options
+    }).generate();
+
+// The index of the cell into which a cell drains, or -1
+const outletOf = (terrain, width, i, direction) => {
+    if (direction === FlowDirection.NONE) {
+        return -1;
+    }
+    const depth = terrain.cells.length / width;
+    return neighborIndex(terrainEdges(terrain), width, depth,
+        i % width + OFFSETS[direction][0],
+        Math.trunc(i / width) + OFFSETS[direction][1]);
+};
+
+// Checks that each cell's accumulation counts itself and the cells that
+// drain into it, and that all the water reaches an outlet.
+const assertDrains = (terrain, width, { directions, accumulation }) => {
+    const area = terrain.cells.length;
+    const inflow = new Uint32Array(area);
+    let drained = 0;
+    for (let i = 0; i < area; i++) {
+        const j = outletOf(terrain, width, i, directions[i]);
+        if (j < 0) {
+            drained += accumulation[i];
+        }
+        else {
+            inflow[j] += accumulation[i];
+        }
+    }
+    for (let i = 0; i < area; i++) {
+        assert.equal(accumulation[i], 1 + inflow[i], `cell ${i}`);
+    }
+    assert.equal(drained, area);
+};
+
+test("water runs down a ramp and off the map", () => {
+    const terrain = terrainOf([
+        [0, 1, 2, 3, 4],
+        [0, 1, 2, 3, 4],
+        [0, 1, 2, 3, 4],
+    ]);
+    const drainage = computeDrainage(terrain, 5);
+    assertDrains(terrain, 5, drainage);
+    // Only the edges are outlets, and the middle row runs west.
+    for (let x = 1; x < 4; x++) {
+        const i = 5 + x;
+        const j = outletOf(terrain, 5, i, drainage.directions[i]);
+        assert.equal(terrain.cells[j].elevation, x - 1);
+    }
+});
+
+test("a pit spills over its rim", () => {
+    const terrain = terrainOf([
+        [2, 2, 2, 2, 2],
+        [2, 1, 1, 1, 2],
+        [2, 1, 0, 1, 2],
+        [2, 1, 1, 1, 2],
+        [2, 2, 1, 2, 2],
+    ]);
+    const drainage = computeDrainage(terrain, 5);
+    assertDrains(terrain, 5, drainage);
+    // The pit fills, and its water leaves by the gap in the rim.
+    let i = 12;
+    while (drainage.directions[i] !== FlowDirection.NONE) {
+        i = outletOf(terrain, 5, i, drainage.directions[i]);
+    }
+    assert.equal(i, 22);
+    assert.equal(drainage.accumulation[22], 1 + 9);
+});
+
+test("a wrapped map drains into the sea, or into its lowest cell", () => {
+    const rows = [
+        [3, 2, 3, 4],
+        [2, 1, 2, 3],
+        [3, 2, 3, 4],
+    ];
+    const dry = terrainOf(rows, { edgeMode: "wrap" });
+    const drainage = computeDrainage(dry, 4);
+    assertDrains(dry, 4, drainage);
+    assert.equal(drainage.accumulation[5], 12);
+    assert.equal(drainage.directions[5], FlowDirection.NONE);
+
+    const wet = terrainOf(rows, { edgeMode: "wrap", seaLevel: 2.5 });
+    const outlets = [...computeDrainage(wet, 4).directions]
+        .map((d, i) => d === FlowDirection.NONE ? i : -1)
+        .filter((i) => i >= 0);
+    assert.deepEqual(outlets, [1, 4, 5, 6, 9]);
+});
+
+for (const edgeMode of ["clamp", "wrap", "fixed"]) {
+    test(`rivers run downhill and keep the slope rule (${edgeMode})`, () => {
+        const terrain = generate(edgeMode);
+        const before = terrain.cells.map((cell) => cell.elevation);
+        applyHydrology(terrain, WIDTH, { riverThreshold: 12 });
+        const elevations = terrain.cells.map((cell) => cell.elevation);
+        const edges = terrainEdges(terrain);
+
+        assert.ok(satisfiesSlopeRule(elevations, WIDTH, WIDTH, edges));
+        assert.equal(terrain.minElev, Math.min(...elevations));
+        assert.equal(terrain.maxElev, Math.max(...elevations));
+        assert.ok(elevations.every((e, i) => e <= before[i]),
+            "carving only lowers the land");
+
+        const rivers = terrain.cells.filter((cell) => cell.river);
+        assert.ok(rivers.length > 0);
+        assertDrains(terrain, WIDTH, {
+            directions: terrain.cells.map((cell) => cell.flowDirection),
+            accumulation: terrain.cells.map((cell) => cell.flowAccumulation)
+        });
+        terrain.cells.forEach((cell, i) => {
+            if (!cell.river) {
+                return;
+            }
+            // A river may be cut below the sea at its mouth, but it 
+            // must rise on land.
+            assert.ok(before[i] >= SEA_LEVEL, `river ${i} is at sea`);
+            const j = outletOf(terrain, WIDTH, i, cell.flowDirection);
+            if (j >= 0) {
+                assert.ok(terrain.cells[j].elevation <= cell.elevation,
+                    `river ${i} runs uphill`);
+            }
+        });
+    });
+}
+
+test("a carve depth of 0 marks rivers without cutting them", () => {
+    const terrain = generate("clamp");
+    const before = terrain.cells.map((cell) => cell.elevation);
+    applyHydrology(terrain, WIDTH, { riverThreshold: 12, carveDepth: 0 });
+    assert.deepEqual(terrain.cells.map((cell) => cell.elevation), before);
+    assert.ok(terrain.cells.some((cell) => cell.river));
+});
+
+test("the generator's hydrology option runs the pass", () => {
+    const options = { riverThreshold: 12 };
+    const terrain = generate("wrap", { hydrology: options });
+    assert.deepEqual(terrain.generator.hydrology, options);
+
+    const expected = applyHydrology(generate("wrap"), WIDTH, options);
+    assert.deepEqual(terrain.cells, expected.cells);
+    assert.equal(terrain.minElev, expected.minElev);
+    assert.equal(terrain.maxElev, expected.maxElev);
+
+    assert.ok(generate("clamp").cells.every((cell) => !cell.river));
+    assert.ok(generate("clamp", { hydrology: true }).cells
+        .some((cell) => cell.river));
+});
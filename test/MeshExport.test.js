@@ -0,0 +1,93 @@
+// Tests that exportGLB() writes the texture coordinates and tangents of
+// a mesh the way glTF expects them.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+import { TerrainMeshBuilder } from "../scripts/TerrainMeshBuilder.js";
+import { exportGLB } from "../scripts/MeshExport.js";
+
+const WIDTH = 6;
+
+const build = () => {
+    const terrain = new TerrainGenerator(WIDTH, 8, 0.2, { seed: 3 })
+        .generate();
+    return new TerrainMeshBuilder().build(WIDTH, terrain, {
+        tangents: true
+    });
+};
+
+// Reads the JSON chunk of a .glb file, and the attributes of its first
+// primitive from the binary chunk.
+const readGLB = (glb) => {
+    const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+    const jsonLength = view.getUint32(12, true);
+    const gltf = JSON.parse(new TextDecoder().decode(
+        glb.subarray(20, 20 + jsonLength)));
+    const binStart = 20 + jsonLength + 8;
+    const attributes = {};
+    const primitive = gltf.meshes[0].primitives[0];
+    for (const [semantic, index] of Object.entries(primitive.attributes)) {
+        const accessor = gltf.accessors[index];
+        const bufferView = gltf.bufferViews[accessor.bufferView];
+        const bytes = glb.slice(binStart + bufferView.byteOffset,
+            binStart + bufferView.byteOffset + bufferView.byteLength);
+        attributes[semantic] = new Float32Array(bytes.buffer);
+    }
+    return attributes;
+};
+
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+test("v is flipped, and the tangents' handedness with it", () => {
+    const geometry = build();
+    const { TEXCOORD_0: uvs, TANGENT: tangents } =
+        readGLB(exportGLB(geometry));
+    const sourceUVs = geometry.getAttribute("uv").array;
+    const sourceTangents = geometry.getAttribute("tangent").array;
+    assert.equal(uvs.length, sourceUVs.length);
+    assert.equal(tangents.length, sourceTangents.length);
+    for (let k = 0; k < uvs.length; k += 2) {
+        assert.equal(uvs[k], sourceUVs[k]);
+        assert.equal(uvs[k + 1], Math.fround(1 - sourceUVs[k + 1]));
+    }
+    for (let k = 0; k < tangents.length; k += 4) {
+        assert.deepEqual([...tangents.subarray(k, k + 3)],
+            [...sourceTangents.subarray(k, k + 3)]);
+        assert.equal(tangents[k + 3], -sourceTangents[k + 3]);
+    }
+});
+
+test("the exported bitangents point the way v increases", () => {
+    const { POSITION: positions, NORMAL: normals, TEXCOORD_0: uvs,
+        TANGENT: tangents } = readGLB(exportGLB(build()));
+    const vector = (array, size, v) =>
+        [...array.subarray(v * size, v * size + 3)];
+    let checked = 0;
+    // Each triangle has vertices of its own, three by three; along each
+    // of its edges, v must change in the direction of the bitangent.
+    for (let v = 0; v < positions.length / 3; v++) {
+        const normal = vector(normals, 3, v);
+        const tangent = vector(tangents, 4, v);
+        const bitangent = cross(normal, tangent)
+            .map((c) => c * tangents[v * 4 + 3]);
+        const first = v - v % 3;
+        for (const other of [first, first + 1, first + 2]) {
+            const dv = uvs[other * 2 + 1] - uvs[v * 2 + 1];
+            if (other === v || Math.abs(dv) < 1e-4) {
+                continue;
+            }
+            const edge = vector(positions, 3, other)
+                .map((c, k) => c - positions[v * 3 + k]);
+            assert.equal(Math.sign(dot(edge, bitangent)), Math.sign(dv));
+            checked++;
+        }
+    }
+    assert.ok(checked > 0);
+});
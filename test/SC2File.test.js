@@ -0,0 +1,113 @@
+/*  *****************************************************************
+
+    SC2File.test.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+// Tests parseSC2() and decompressRLE() against small handcrafted city
+// files (see fixtures/README.md), so no copy of the game is needed.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { decompressRLE, parseSC2 } from "../scripts/SC2File.js";
+
+const fixture = (name) => readFileSync(new URL(`fixtures/${name}`,
+    import.meta.url));
+
+test("decompressRLE copies literal runs and repeats repeated ones", () => {
+    const data = Uint8Array.from([2, 9, 8, 130, 7, 1, 6]);
+    assert.deepEqual([...decompressRLE(data)], [9, 8, 7, 7, 7, 6]);
+    assert.deepEqual([...decompressRLE(data, 6)], [9, 8, 7, 7, 7, 6]);
+});
+
+test("decompressRLE rejects truncated and oversized data", () => {
+    assert.throws(() => decompressRLE(Uint8Array.from([5, 1, 2])),
+        /truncated/);
+    assert.throws(() => decompressRLE(Uint8Array.from([130])),
+        /truncated/);
+    assert.throws(() => decompressRLE(Uint8Array.from([130, 1]), 4),
+        /decompresses to 3 bytes, not 4/);
+    assert.throws(() => decompressRLE(Uint8Array.from([130, 1]), 2),
+        /more than the expected 2 bytes/);
+    assert.throws(() => decompressRLE(Uint8Array.from([0])),
+        /invalid count byte 0/);
+});
+
+test("parseSC2 reads the terrain of a valid city", () => {
+    const terrain = parseSC2(fixture("tiny.sc2"));
+    assert.equal(terrain.name, "Tinytown");
+    assert.equal(terrain.width, 4);
+    assert.equal(terrain.depth, 4);
+    assert.equal(terrain.minElev, 0);
+    assert.equal(terrain.maxElev, 4);
+    assert.deepEqual(terrain.cells.map((cell) => cell.elevation),
+        [0, 0, 1, 2, 0, 1, 2, 3, 1, 2, 3, 3, 2, 3, 3, 4]);
+    // The submerged and shore tiles are at level 0, so the sea is at 1.
+    assert.equal(terrain.seaLevel, 1);
+    assert.deepEqual(terrain.cells.map((cell) => cell.moisture),
+        [5, 5, 2, 2, 5, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2]);
+    assert.deepEqual(
+        [terrain.cells[6].xIndex, terrain.cells[6].zIndex], [2, 1]);
+});
+
+test("parseSC2 accepts an ArrayBuffer and honors its options", () => {
+    const bytes = fixture("tiny.sc2");
+    const buffer = bytes.buffer.slice(
+        bytes.byteOffset, bytes.byteOffset + bytes.length);
+    const terrain = parseSC2(buffer, { seaLevel: -1.5, moisture: 4 });
+    assert.equal(terrain.seaLevel, -1.5);
+    assert.equal(terrain.cells[15].moisture, 4);
+});
+
+test("parseSC2 rejects truncated files", () => {
+    assert.throws(() => parseSC2(fixture("truncated.sc2")),
+        /truncated: {2}its header gives a length of 119 bytes, but it has 99/);
+    assert.throws(() => parseSC2(fixture("tiny.sc2").subarray(0, 10)),
+        /too short for a header/);
+    assert.throws(() => parseSC2(fixture("short-terrain.sc2")),
+        /decompresses to 8 bytes, not 16/);
+});
+
+test("parseSC2 rejects files that are not supported cities", () => {
+    assert.throws(() => parseSC2(fixture("not-a-city.sc2")),
+        /not a SimCity 2000 city/);
+    assert.throws(() => parseSC2(fixture("no-altitude.sc2")),
+        /no "ALTM" chunk/);
+    assert.throws(() => parseSC2("tiny.sc2"),
+        /must be an ArrayBuffer, a typed array or a Buffer/);
+});
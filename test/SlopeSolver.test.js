@@ -0,0 +1,148 @@
+// Tests that solveSlopeConstraints() enforces the one-level rule in every
+// edge mode, and that what it finds is as close to the original as any
+// grid that obeys the rule.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    constrainTerrain,
+    satisfiesSlopeRule,
+    solveSlopeConstraints
+} from "../scripts/SlopeSolver.js";
+
+const CLAMP = { mode: "clamp", height: 0 };
+const WRAP = { mode: "wrap", height: 0 };
+const FIXED = { mode: "fixed", height: 1 };
+
+const deviation = (grid, original) =>
+    grid.reduce((sum, e, i) => sum + Math.abs(e - original[i]), 0);
+
+// A small pseudo-random grid, the same on every run
+const noiseGrid = (width, depth, amplitude, seed) => {
+    let state = seed;
+    return Array.from({ length: width * depth }, () => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return Math.floor(state / 2 ** 32 * amplitude) - 2;
+    });
+};
+
+// Tries every grid within a level of the original's range, and returns
+// the least deviation of any that obeys the rule.
+const bruteForceDeviation = (original, width, depth, edges) => {
+    const lo = Math.min(...original, edges.height) - 1;
+    const hi = Math.max(...original, edges.height) + 1;
+    const grid = original.map(() => lo);
+    let best = Infinity;
+    for (;;) {
+        if (satisfiesSlopeRule(grid, width, depth, edges)) {
+            best = Math.min(best, deviation(grid, original));
+        }
+        let k = 0;
+        while (k < grid.length && grid[k] === hi) {
+            grid[k++] = lo;
+        }
+        if (k === grid.length) {
+            return best;
+        }
+        grid[k]++;
+    }
+};
+
+test("a grid that obeys the rule is only rounded", () => {
+    const ramp = [0, 1, 2, 3, 0, 1, 2, 3, 1, 1, 2, 2];
+    assert.deepEqual(solveSlopeConstraints(ramp, 4), ramp);
+    assert.deepEqual(solveSlopeConstraints([0.4, 1.2, 1.6, 2.5], 4),
+        [0, 1, 2, 3]);
+});
+
+test("every solved grid obeys the one-level rule", () => {
+    for (const edges of [CLAMP, WRAP, FIXED]) {
+        for (let seed = 1; seed <= 20; seed++) {
+            const original = noiseGrid(12, 9, 4 + seed, seed);
+            const solved = solveSlopeConstraints(original, 12, 9, edges);
+            assert.ok(satisfiesSlopeRule(solved, 12, 9, edges),
+                `${edges.mode}, seed ${seed}`);
+        }
+    }
+});
+
+test("a spike is cut down to a level above its surroundings", () => {
+    const spike = [
+        0, 0, 0,
+        0, 6, 0,
+        0, 0, 0,
+    ];
+    assert.deepEqual(solveSlopeConstraints(spike, 3), [
+        0, 0, 0,
+        0, 1, 0,
+        0, 0, 0,
+    ]);
+});
+
+test("a cliff is split between its top and its foot", () => {
+    const cliff = [0, 0, 0, 4, 4, 4];
+    const solved = solveSlopeConstraints(cliff, 6);
+    // Of the grids that move the cells three levels in all, the lowest
+    assert.deepEqual(solved, [0, 0, 1, 2, 3, 4]);
+    assert.equal(deviation(solved, cliff),
+        bruteForceDeviation(cliff, 6, 1, CLAMP));
+});
+
+test("no grid that obeys the rule is closer to the original", () => {
+    for (const edges of [CLAMP, WRAP, FIXED]) {
+        for (let seed = 1; seed <= 8; seed++) {
+            const original = noiseGrid(3, 2, 6, seed);
+            const solved = solveSlopeConstraints(original, 3, 2, edges);
+            assert.equal(deviation(solved, original),
+                bruteForceDeviation(original, 3, 2, edges),
+                `${edges.mode}, seed ${seed}: ${original}`);
+        }
+    }
+});
+
+test("the result does not depend on the direction of the scan", () => {
+    const original = noiseGrid(7, 7, 12, 5);
+    const transpose = (grid) => grid.map((_, i) => grid[(i % 7) * 7
+        + Math.trunc(i / 7)]);
+    const mirror = (grid) => grid.map((_, i) => grid[i - i % 7 + 6
+        - i % 7]);
+    const solved = solveSlopeConstraints(original, 7);
+    assert.deepEqual(
+        solveSlopeConstraints(transpose(original), 7), transpose(solved));
+    assert.deepEqual(
+        solveSlopeConstraints(mirror(original), 7), mirror(solved));
+});
+
+test("a wrapped map obeys the rule across its edges", () => {
+    const ramp = [0, 1, 2, 3];
+    assert.deepEqual(solveSlopeConstraints(ramp, 4), ramp);
+    const solved = solveSlopeConstraints(ramp, 4, 1, WRAP);
+    assert.deepEqual(solved, [0, 1, 2, 1]);
+    assert.ok(!satisfiesSlopeRule(ramp, 4, 1, WRAP));
+});
+
+test("a map with fixed edges stays within a level of their height", () => {
+    const ramp = [0, 1, 2, 3];
+    assert.deepEqual(solveSlopeConstraints(ramp, 4, 1, FIXED),
+        [0, 1, 2, 2]);
+    assert.deepEqual(
+        solveSlopeConstraints([5, 5, 5, 5, 5, 5, 5, 5, 5], 3, 3, FIXED),
+        [2, 2, 2, 2, 3, 2, 2, 2, 2]);
+});
+
+test("constrainTerrain updates the terrain's cells and range", () => {
+    const elevations = [0, 0, 0, 0, 9, 0, 0, 0, -4];
+    const terrain = {
+        cells: elevations.map((elevation) => ({ elevation })),
+        minElev: -4,
+        maxElev: 9,
+        edgeMode: "wrap"
+    };
+    assert.equal(constrainTerrain(terrain, 3), terrain);
+    const solved = terrain.cells.map((cell) => cell.elevation);
+    assert.deepEqual(solved,
+        solveSlopeConstraints(elevations, 3, 3, WRAP));
+    assert.equal(terrain.minElev, Math.min(...solved));
+    assert.equal(terrain.maxElev, Math.max(...solved));
+});
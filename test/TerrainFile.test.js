@@ -0,0 +1,153 @@
+/*  *****************************************************************
+
+    TerrainFile.test.js
+
+    Part of SC2K-style Terrain Renderer
+    Demo: https://pnichols04.github.io/sc2k-map/
+    Repo: https://github.com/pnichols04/sc2k-map
+
+    Copyright © 2022 Philip Nichols
+
+    Made available under the MIT License:
+
+    Permission is hereby granted, free of charge, to any person 
+    obtaining a copy of this software and associated documentation 
+    files (the “Software”), to deal in the Software without 
+    restriction, including without limitation the rights to use, 
+    copy, modify, merge, publish, distribute, sublicense, and/or 
+    sell copies of the Software, and to permit persons to whom the 
+    Software is furnished to do so, subject to the following 
+    conditions:
+
+    The above copyright notice and this permission notice shall be 
+    included in all copies or substantial portions of the Software.
+
+    THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND, 
+    EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES 
+    OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND 
+    NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT 
+    HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, 
+    WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+    FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR 
+    OTHER DEALINGS IN THE SOFTWARE.
+
+    -----------------------------------------------------------------
+
+    Attribution, as well as notice of any use, is requested but not 
+    required.
+
+**********************************************************************  */
+// Tests that serializeTerrain() and deserializeTerrain() round-trip a
+// terrain in every format, and that older saves are migrated.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+import {
+    deserializeTerrain,
+    serializeTerrain,
+    TERRAIN_FORMAT_VERSION,
+    TerrainFormat
+} from "../scripts/TerrainFile.js";
+
+const generate = (options) => new TerrainGenerator(12, 15, undefined, {
+    seed: 9,
+    depth: 6,
+    seaLevel: -1.5,
+    ...options
+}).generate();
+
+// The parts of a terrain that are saved.  (Adding 0 turns the -0 that
+// the generator can produce into the 0 that is read back.)
+const summary = (terrain) => ({
+    width: terrain.width,
+    depth: terrain.depth,
+    minElev: terrain.minElev,
+    maxElev: terrain.maxElev,
+    seaLevel: terrain.seaLevel,
+    seed: terrain.seed,
+    edgeMode: terrain.edgeMode,
+    edgeHeight: terrain.edgeHeight,
+    cells: terrain.cells.map((cell) =>
+        [cell.elevation + 0, cell.moisture, cell.xIndex, cell.zIndex])
+});
+
+test("a terrain round-trips through every format", () => {
+    const terrain = generate({ edgeMode: "fixed", edgeHeight: -1 });
+    for (const format of Object.values(TerrainFormat)) {
+        const saved = serializeTerrain(terrain, undefined, format);
+        assert.deepEqual(
+            summary(deserializeTerrain(saved)), summary(terrain), format);
+    }
+});
+
+test("the saved parameters regenerate the same terrain", () => {
+    const terrain = generate({ profile: "mountains", mask: "island" });
+    const p = deserializeTerrain(serializeTerrain(terrain)).generator;
+    const again = new TerrainGenerator(
+        p.width, p.amplitude, p.resolution, p).generate();
+    assert.deepEqual(summary(again), summary(terrain));
+});
+
+test("the JSON keeps each row of the map on one line", () => {
+    const json = serializeTerrain(generate());
+    const doc = JSON.parse(json);
+    assert.equal(doc.version, TERRAIN_FORMAT_VERSION);
+    assert.ok(json.includes(`  ${JSON.stringify(doc.elevation[0])
+        .replace(/,/g, ", ")}`));
+});
+
+test("a terrain saved before there was a format is migrated", () => {
+    const terrain = generate();
+    // Version 0 is the Terrain itself, as JSON.stringify() writes it.
+    const legacy = JSON.parse(JSON.stringify({
+        ...terrain,
+        edgeMode: undefined,
+        edgeHeight: undefined,
+        generator: undefined
+    }));
+    const loaded = deserializeTerrain(JSON.stringify(legacy));
+    assert.deepEqual(summary(loaded), summary(terrain));
+    assert.deepEqual(loaded.generator, { seed: 9 });
+
+    // Migrated data saves in the current version.
+    const resaved = JSON.parse(serializeTerrain(loaded));
+    assert.equal(resaved.version, TERRAIN_FORMAT_VERSION);
+    assert.deepEqual(summary(deserializeTerrain(resaved)), summary(terrain));
+});
+
+test("moisture and elevations out of range are rejected", () => {
+    const terrain = generate();
+    terrain.cells[3].moisture = 300;
+    assert.throws(() => serializeTerrain(terrain, 12, TerrainFormat.BINARY),
+        /moisture of cell 3 must be a whole number from 0 to 5/);
+    terrain.cells[3].moisture = 2;
+    terrain.cells[4].elevation = 40000;
+    assert.throws(() => serializeTerrain(terrain),
+        /elevation of cell 4 must be a whole number/);
+});
+
+test("unreadable data is rejected", () => {
+    const json = JSON.parse(serializeTerrain(generate()));
+    assert.throws(() => deserializeTerrain({ ...json, format: "other" }),
+        /not a saved terrain/);
+    assert.throws(() => deserializeTerrain({ ...json, version: 99 }),
+        /version 99 of the format, which is newer/);
+    assert.throws(() => deserializeTerrain("!!!"), /neither JSON nor base64/);
+    assert.throws(() => deserializeTerrain("{"), /not valid JSON/);
+    const rows = (value) => json.elevation.map((row, z) => row.map(
+        (e, x) => (z === 1 && x === 2 ? value : e)));
+    assert.throws(() => deserializeTerrain({ ...json, moisture: rows(9) }),
+        /moisture of cell 14 must be a whole number from 0 to 5/);
+    assert.throws(() => deserializeTerrain({ ...json, moisture: rows(1.5) }),
+        /moisture of cell 14 must be a whole number/);
+    assert.throws(() => deserializeTerrain({ ...json, elevation: rows(4e4) }),
+        /elevation of cell 14 must be a whole number from -32768 to 32767/);
+    assert.throws(() => deserializeTerrain({ ...json, elevation: rows("3") }),
+        /elevation of cell 14 must be a whole number/);
+    assert.throws(() => deserializeTerrain(
+        serializeTerrain(generate(), 12, TerrainFormat.BINARY)
+            .subarray(0, 40)),
+    /truncated/);
+});
@@ -0,0 +1,115 @@
+// Tests that TerrainMeshBuilder.updateRegion() leaves a mesh just as a
+// full build() of the edited terrain would, whatever the build options
+// and edge mode.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TerrainGenerator } from "../scripts/TerrainGenerator.js";
+import {
+    ColorMode,
+    ShadingMode,
+    TerrainMeshBuilder
+} from "../scripts/TerrainMeshBuilder.js";
+import { satisfiesSlopeRule } from "../scripts/SlopeSolver.js";
+import { createRandom } from "../scripts/SeededRandom.js";
+import { terrainEdges } from "../scripts/EdgeMode.js";
+
+const WIDTH = 10;
+const DEPTH = 8;
+const EDITS = 12;
+
+const generate = (edgeMode) => new TerrainGenerator(WIDTH, 8, 0.2, {
+    seed: 5,
+    depth: DEPTH,
+    seaLevel: 1.5,
+    edgeMode: edgeMode,
+    edgeHeight: 1
+}).generate();
+
+const copyTerrain = (terrain) => ({
+    ...terrain,
+    cells: terrain.cells.map((cell) => ({ ...cell }))
+});
+
+// Raises or lowers a few cells of a random rectangle by a level, where
+// the slope rule allows, and returns the rectangle.
+const editRegion = (terrain, random) => {
+    const pick = (size) => Math.floor(random() * size);
+    const [xa, xb] = [pick(WIDTH), pick(WIDTH)];
+    const [za, zb] = [pick(DEPTH), pick(DEPTH)];
+    const [x0, x1] = [Math.min(xa, xb), Math.min(Math.max(xa, xb), xa + 2)];
+    const [z0, z1] = [Math.min(za, zb), Math.min(Math.max(za, zb), za + 2)];
+    const edges = terrainEdges(terrain);
+    for (let z = z0; z <= z1; z++) {
+        for (let x = x0; x <= x1; x++) {
+            const cell = terrain.cells[z * WIDTH + x];
+            const before = cell.elevation;
+            cell.elevation += random() < 0.5 ? -1 : 1;
+            const elevations = terrain.cells.map((c) => c.elevation);
+            if (!satisfiesSlopeRule(elevations, WIDTH, DEPTH, edges)) {
+                cell.elevation = before;
+            }
+        }
+    }
+    const elevations = terrain.cells.map((cell) => cell.elevation);
+    terrain.minElev = Math.min(...elevations);
+    terrain.maxElev = Math.max(...elevations);
+    return [x0, z0, x1, z1];
+};
+
+const assertSameMesh = (actual, expected, message) => {
+    for (const name of Object.keys(expected.attributes)) {
+        const a = actual.getAttribute(name).array;
+        const e = expected.getAttribute(name).array;
+        assert.equal(a.length, e.length, `${message}: ${name}`);
+        for (let k = 0; k < e.length; k++) {
+            if (Math.abs(a[k] - e[k]) > 1e-5) {
+                assert.fail(`${message}: ${name}[${k}] is ${a[k]}, but a `
+                    + `full build gives ${e[k]}`);
+            }
+        }
+    }
+};
+
+const CASES = [
+    { edgeMode: "clamp", options: {} },
+    { edgeMode: "clamp", options: { indexed: true, tangents: true } },
+    { edgeMode: "clamp", options: { shading: ShadingMode.SMOOTH } },
+    { edgeMode: "clamp", options: { colorMode: ColorMode.BLEND } },
+    { edgeMode: "clamp", options: { colorMode: ColorMode.DITHER } },
+    { edgeMode: "clamp", options: { skirts: true, atlas: true } },
+    { edgeMode: "wrap", options: { shading: ShadingMode.SMOOTH } },
+    { edgeMode: "wrap", options: {
+        colorMode: ColorMode.BLEND, shading: ShadingMode.SMOOTH } },
+    { edgeMode: "fixed", options: {
+        colorMode: ColorMode.DITHER, skirts: true, tangents: true } },
+];
+
+for (const { edgeMode, options } of CASES) {
+    const label = `${edgeMode} ${JSON.stringify(options)}`;
+    test(`updateRegion matches a full build (${label})`, () => {
+        const random = createRandom(label);
+        const builder = new TerrainMeshBuilder();
+        const terrain = generate(edgeMode);
+        const geometry = builder.build(WIDTH, terrain, options);
+        for (let edit = 0; edit < EDITS; edit++) {
+            const region = editRegion(terrain, random);
+            builder.updateRegion(geometry, terrain, ...region);
+            assertSameMesh(geometry,
+                builder.build(WIDTH, copyTerrain(terrain), options),
+                `after edit ${edit} of ${region}`);
+        }
+    });
+}
+
+test("updateRegion rejects geometry it did not build", () => {
+    const builder = new TerrainMeshBuilder();
+    const terrain = generate("clamp");
+    const geometry = builder.build(WIDTH, terrain);
+    assert.throws(() => builder.updateRegion({ userData: {} }, terrain,
+        0, 0, 1, 1), /must be a geometry returned by/);
+    assert.throws(() => builder.updateRegion(geometry,
+        { ...terrain, cells: terrain.cells.slice(1) }, 0, 0, 1, 1),
+    /must have as many cells/);
+});
@@ -0,0 +1,84 @@
+// Tests that a TerrainZoneRegistry supplies the zones for the water,
+// by default and as a definition replaces them, and that the mesh
+// builder colors the water's cells with them.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    defaultZoneRegistry,
+    TerrainType,
+    TerrainZoneRegistry,
+    TerrainZones,
+    WaterZones
+} from "../scripts/TerrainZone.js";
+import { TerrainMeshBuilder } from "../scripts/TerrainMeshBuilder.js";
+import { WaterClass } from "../scripts/Water.js";
+
+const definition = (water) => ({
+    bands: 4,
+    moistureLevels: 6,
+    zones: TerrainZones,
+    water: water
+});
+
+// A shore running north to south:  sea to the west, land to the east
+const terrain = {
+    cells: Array.from({ length: 15 }, (_, i) => ({
+        elevation: i % 5 - 2,
+        moisture: 2,
+        xIndex: i % 5,
+        zIndex: Math.trunc(i / 5)
+    })),
+    minElev: -2,
+    maxElev: 2,
+    width: 5,
+    depth: 3,
+    seaLevel: -0.5
+};
+
+test("the water zones default to WaterZones", () => {
+    for (const key of Object.keys(WaterZones)) {
+        assert.equal(defaultZoneRegistry.getWaterZone(key), WaterZones[key]);
+        assert.equal(new TerrainZoneRegistry().getWaterZone(key),
+            WaterZones[key]);
+    }
+});
+
+test("a definition replaces the water zones it names", () => {
+    const zones = TerrainZoneRegistry.fromJSON(JSON.stringify(definition({
+        BEACH: { description: "Shingle", color: "#a0a0a0",
+            terrainType: TerrainType.GRASS_LOW }
+    })));
+    assert.deepEqual(zones.getWaterZone("BEACH"), {
+        description: "Shingle",
+        color: 0xa0a0a0,
+        terrainType: TerrainType.GRASS_LOW
+    });
+    assert.equal(zones.getWaterZone("SEABED"), WaterZones.SEABED);
+
+    const cells = terrain.cells.map((cell) => ({ ...cell }));
+    new TerrainMeshBuilder().build(5, { ...terrain, cells }, { zones });
+    const typesOf = (waterClass) => new Set(cells
+        .filter((cell) => cell.water === waterClass)
+        .map((cell) => cell.terrainType));
+    assert.deepEqual(typesOf(WaterClass.SHORELINE),
+        new Set([TerrainType.GRASS_LOW]));
+    assert.deepEqual(typesOf(WaterClass.WATER),
+        new Set([WaterZones.SEABED.terrainType]));
+
+    const copy = TerrainZoneRegistry.fromJSON(JSON.stringify(zones));
+    assert.deepEqual(copy.getWaterZone("BEACH"), zones.getWaterZone("BEACH"));
+});
+
+test("water zones must be known and drawable", () => {
+    const zones = new TerrainZoneRegistry();
+    assert.throws(() => zones.setWaterZone("LAKE", { color: 0 }),
+        /must be one of BEACH, SEABED, RIVER/);
+    assert.throws(() => zones.setWaterZone("RIVER", { color: "blue" }),
+        /'RIVER' must have a color/);
+    assert.throws(() => zones.setWaterZone("RIVER",
+        { color: 0, terrainType: "lava" }), /unknown terrain type/);
+    assert.throws(() => new TerrainZoneRegistry({ zones: {}, water: 3 }),
+        /'water' must be an object/);
+});
@@ -0,0 +1,63 @@
+// Tests the sc2k-map command line:  that its options reach the
+// generator, and that bad values are rejected before anything is
+// written.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const BIN = fileURLToPath(new URL("../bin/sc2k-map.js", import.meta.url));
+
+const run = (...args) => spawnSync(process.execPath, [BIN, ...args], {
+    encoding: "utf8"
+});
+
+// Generates a small map, and returns its saved form.
+const generate = (...args) => {
+    const dir = mkdtempSync(join(tmpdir(), "sc2k-map-"));
+    try {
+        const out = join(dir, "map.json");
+        const result = run("generate", "--width", "24", "--seed", "5",
+            "--out", out, ...args);
+        assert.equal(result.status, 0, result.stderr);
+        return JSON.parse(readFileSync(out, "utf8"));
+    }
+    finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+test("--erosion weathers the terrain", () => {
+    const plain = generate();
+    const eroded = generate("--erosion");
+    assert.equal(plain.generator.erosion, null);
+    assert.deepEqual(eroded.generator.erosion,
+        { droplets: 20000, thermalIterations: 10 });
+    assert.notDeepEqual(eroded.elevation, plain.elevation);
+});
+
+test("--droplets and --thermal-iterations set the erosion", () => {
+    const eroded = generate("--droplets", "500");
+    assert.deepEqual(eroded.generator.erosion,
+        { droplets: 500, thermalIterations: 10 });
+    assert.deepEqual(generate("--thermal-iterations", "0", "--erosion")
+        .generator.erosion, { droplets: 20000, thermalIterations: 0 });
+});
+
+test("the dimensions must be positive integers", () => {
+    for (const [option, value] of [
+        ["--width", "0"], ["--width", "2.5"],
+        ["--depth", "0"], ["--depth", "-3"], ["--depth", "7.5"]]) {
+        const result = run("generate", `${option}=${value}`);
+        assert.equal(result.status, 1);
+        assert.match(result.stderr,
+            new RegExp(`${option} must be a positive integer`));
+    }
+    const result = run("generate", "--droplets", "many");
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /--droplets must be a number/);
+});